@@ -3,11 +3,41 @@ import pandas as pd
 import json
 import gzip
 import numpy as np
+import struct
 
 # Create output directory for optimized gene files
 output_dir = './data/yinan/genes_optimized'
 os.makedirs(output_dir, exist_ok=True)
 
+# Create output directory for binary gene files (see src/GeneBinaryFormat.js)
+binary_output_dir = './data/yinan/genes_binary'
+os.makedirs(binary_output_dir, exist_ok=True)
+
+
+def write_gene_binary(path, layers):
+    """Write gene layers in the binary MFGB format with float32 coordinates."""
+    entries = sorted((int(z), np.asarray(coords, dtype='<f4')) for z, coords in layers.items())
+    all_coords = [coords for _, coords in entries if len(coords) > 0]
+    if all_coords:
+        stacked = np.concatenate(all_coords)
+        bounds = (stacked[0::2].min(), stacked[1::2].min(), stacked[0::2].max(), stacked[1::2].max())
+    else:
+        bounds = (0, 0, 0, 0)
+
+    # Header: magic, version, encoding (0 = float32), reserved, layer count, bounds, reserved
+    header = struct.pack('<4sBBHI4fI', b'MFGB', 1, 0, 0, len(entries), *bounds, 0)
+    offset = len(header) + 12 * len(entries)
+    table = b''
+    for z, coords in entries:
+        table += struct.pack('<iII', z, len(coords) // 2, offset)
+        offset += coords.nbytes
+
+    with open(path, 'wb') as f:
+        f.write(header)
+        f.write(table)
+        for _, coords in entries:
+            f.write(coords.tobytes())
+
 # List of genes to process
 genes_to_process = [
     "ackr3b",
@@ -86,4 +116,9 @@ for gene, data in gene_data.items():
     file_size = os.path.getsize(output_path) / 1024  # KB
     print(f"Saved {gene}.json.gz ({file_size:.2f} KB)")
 
+    # Also write the binary format served to the viewer
+    binary_path = os.path.join(binary_output_dir, f"{gene}.bin")
+    write_gene_binary(binary_path, data["layers"])
+    print(f"Saved {gene}.bin ({os.path.getsize(binary_path) / 1024:.2f} KB)")
+
 print("Processing complete!")
@@ -3,6 +3,7 @@ const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
 const compression = require('compression');
+const zlib = require('zlib');
 
 const app = express();
 const PORT = process.env.PORT || 3030;
@@ -46,6 +47,157 @@ app.use(compression());
 // Base directory for data
 const BASE_DATA_DIR = process.env.BASE_DATA_DIR || path.join(__dirname, '../data');
 
+const DEFAULT_DATASET = process.env.DEFAULT_DATASET || 'yinan';
+const DEFAULT_VARIANT = process.env.DEFAULT_VARIANT || '50pe';
+
+// How long a scanned dataset registry is reused before rescanning the data directory
+const REGISTRY_TTL_MS = parseInt(process.env.REGISTRY_TTL_MS, 10) || 60 * 1000;
+
+// Directories that hold per-layer contour files, in order of preference
+const CONTOUR_DIRS = [
+  'contours/contours_processed_compressed',
+  'contours/contours_processed_uncompressed',
+  'contours/contours_raw'
+];
+const NUCLEI_DIRS = [
+  'contours/contours_nuclei_processed_compressed',
+  'contours/contours_nuclei_processed_uncompressed'
+];
+
+// Number of genes kept in memory, both as parsed layers and as binary conversions
+const GENE_CACHE_SIZE = parseInt(process.env.GENE_CACHE_SIZE, 10) || 32;
+
+// Binary gene format, see src/GeneBinaryFormat.js for the layout
+const GENE_BINARY_MAGIC = 'MFGB';
+const GENE_BINARY_VERSION = 1;
+const GENE_ENCODINGS = { f32: 0, u16: 1 };
+const GENE_HEADER_SIZE = 32;
+const GENE_LAYER_ENTRY_SIZE = 12;
+
+let datasetRegistry = null;
+let registryScannedAt = 0;
+
+// Converted binary genes by dataset/variant/gene/encoding, oldest first
+const geneBinaryCache = new Map();
+
+// Parsed gene layers by dataset/variant/gene, oldest first, used for per-layer requests
+const geneLayerCache = new Map();
+
+// List the sub-directories of a directory (empty if it does not exist)
+function listDirectories(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
+  } catch (err) {
+    return [];
+  }
+}
+
+// Read the optional manifest.json of a variant directory
+function readVariantManifest(variantDir) {
+  const manifestPath = path.join(variantDir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (err) {
+    console.error(`Error parsing ${manifestPath}:`, err);
+    return {};
+  }
+}
+
+// Derive the z-layer range of a variant from its contour file names
+function scanLayerRange(variantDir) {
+  for (const dir of CONTOUR_DIRS) {
+    let files;
+    try {
+      files = fs.readdirSync(path.join(variantDir, dir));
+    } catch (err) {
+      continue;
+    }
+
+    const layers = files
+      .map(file => file.match(/^contours_z_(\d+)_flat\.json(\.gz)?$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10));
+
+    if (layers.length > 0) {
+      return { min: Math.min(...layers), max: Math.max(...layers) };
+    }
+  }
+  return null;
+}
+
+// Describe a single variant directory, or return null if it holds no data
+function describeVariant(datasetDir, variantId) {
+  const variantDir = path.join(datasetDir, variantId);
+  const manifest = readVariantManifest(variantDir);
+  const layers = manifest.layers || scanLayerRange(variantDir);
+
+  if (!layers && !fs.existsSync(path.join(variantDir, 'gene_list.json'))) {
+    return null;
+  }
+
+  const nuclei = manifest.nuclei !== undefined
+    ? !!manifest.nuclei
+    : NUCLEI_DIRS.some(dir => fs.existsSync(path.join(variantDir, dir)));
+
+  const variant = {
+    id: variantId,
+    label: manifest.label || variantId,
+    layers: layers || { min: 0, max: 0 },
+    nuclei
+  };
+
+  // Physical calibration in µm, the client falls back to its defaults when missing
+  if (manifest.pixelSize > 0) variant.pixelSize = manifest.pixelSize;
+  if (manifest.zStep > 0) variant.zStep = manifest.zStep;
+
+  return variant;
+}
+
+// Scan BASE_DATA_DIR for datasets and their variants
+function scanDatasetRegistry() {
+  const datasets = listDirectories(BASE_DATA_DIR)
+    .map(datasetId => {
+      const datasetDir = path.join(BASE_DATA_DIR, datasetId);
+      const variants = listDirectories(datasetDir)
+        .map(variantId => describeVariant(datasetDir, variantId))
+        .filter(Boolean);
+      return { id: datasetId, variants };
+    })
+    .filter(dataset => dataset.variants.length > 0);
+
+  const defaultDataset = datasets.some(dataset => dataset.id === DEFAULT_DATASET)
+    ? DEFAULT_DATASET
+    : (datasets[0] ? datasets[0].id : null);
+
+  return { defaultDataset, datasets };
+}
+
+// Get the dataset registry, rescanning the data directory when it is stale
+function getDatasetRegistry() {
+  if (!datasetRegistry || Date.now() - registryScannedAt > REGISTRY_TTL_MS) {
+    datasetRegistry = scanDatasetRegistry();
+    registryScannedAt = Date.now();
+  }
+  return datasetRegistry;
+}
+
+// Find a dataset and variant in the registry
+function findVariant(datasetId, variantId) {
+  const dataset = getDatasetRegistry().datasets.find(d => d.id === datasetId);
+  if (!dataset) return { dataset: null, variant: null };
+  return { dataset, variant: dataset.variants.find(v => v.id === variantId) || null };
+}
+
+// Route to list datasets, variants, z-layer ranges and nuclei availability
+app.get('/api/datasets', (req, res) => {
+  res.json(getDatasetRegistry());
+});
+
 // Route for data files (clusters.json, palette.json, etc)
 app.get('/api/data/:dataset/:variant/:filename', (req, res) => {
     const { dataset, variant, filename } = req.params;
@@ -54,6 +206,11 @@ app.get('/api/data/:dataset/:variant/:filename', (req, res) => {
     if (!['clusters.json', 'palette.json'].includes(filename)) {
         return res.status(400).json({ error: 'Invalid file requested' });
     }
+
+    // Only serve datasets that are in the registry
+    if (!findVariant(dataset, variant).variant) {
+        return res.status(404).json({ error: `Unknown dataset variant: ${dataset}/${variant}` });
+    }
     
     const filePath = path.join(BASE_DATA_DIR, dataset, variant, filename);
     
@@ -65,11 +222,6 @@ app.get('/api/data/:dataset/:variant/:filename', (req, res) => {
         res.json(JSON.parse(data));
     });
 });
-const DEFAULT_DATASET = process.env.DEFAULT_DATASET || 'yinan';
-const DEFAULT_VARIANT = process.env.DEFAULT_VARIANT || '50pe';
-
-// Available dataset variants
-const AVAILABLE_VARIANTS = ['50pe', '75pe', '6s'];
 
 // Function to get the data directory for a specific dataset and variant
 function getDataDir(dataset = DEFAULT_DATASET, variant = DEFAULT_VARIANT) {
@@ -84,15 +236,28 @@ app.use((req, res, next) => {
 
 // Helper function to get dataset and variant from request
 function getDatasetInfo(req) {
-  const dataset = req.query.dataset || DEFAULT_DATASET;
+  const registry = getDatasetRegistry();
+  const dataset = req.query.dataset || registry.defaultDataset;
+  const datasetEntry = registry.datasets.find(d => d.id === dataset);
+
+  // Validate dataset
+  if (!datasetEntry) {
+    return {
+      valid: false,
+      error: `Invalid dataset: ${dataset}. Available datasets: ${registry.datasets.map(d => d.id).join(', ')}`
+    };
+  }
+
+  const availableVariants = datasetEntry.variants.map(v => v.id);
+  const defaultVariant = availableVariants.includes(DEFAULT_VARIANT) ? DEFAULT_VARIANT : availableVariants[0];
   // Support both 'data' and 'variant' parameters for backward compatibility
-  const variant = req.query.data || req.query.variant || DEFAULT_VARIANT;
+  const variant = req.query.data || req.query.variant || defaultVariant;
   
   // Validate variant
-  if (!AVAILABLE_VARIANTS.includes(variant)) {
+  if (!availableVariants.includes(variant)) {
     return { 
       valid: false, 
-      error: `Invalid dataset variant: ${variant}. Available variants: ${AVAILABLE_VARIANTS.join(', ')}` 
+      error: `Invalid dataset variant: ${variant}. Available variants: ${availableVariants.join(', ')}` 
     };
   }
   
@@ -130,6 +295,144 @@ app.get('/api/genes', (req, res) => {
   });
 });
 
+// Encode gene layers ({ z: [x0, y0, x1, y1, ...] }) in the binary gene format
+function encodeGeneBinary(layers, encoding) {
+  const entries = Object.entries(layers)
+    .map(([z, coords]) => [parseInt(z, 10), coords])
+    .filter(([z]) => !isNaN(z))
+    .sort((a, b) => a[0] - b[0]);
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  entries.forEach(([, coords]) => {
+    for (let i = 0; i < coords.length - 1; i += 2) {
+      if (coords[i] < minX) minX = coords[i];
+      if (coords[i] > maxX) maxX = coords[i];
+      if (coords[i + 1] < minY) minY = coords[i + 1];
+      if (coords[i + 1] > maxY) maxY = coords[i + 1];
+    }
+  });
+  if (minX === Infinity) {
+    minX = minY = maxX = maxY = 0;
+  }
+
+  // Lay out the layers, each starting on a 4 byte boundary
+  const bytesPerValue = encoding === GENE_ENCODINGS.u16 ? 2 : 4;
+  let offset = GENE_HEADER_SIZE + entries.length * GENE_LAYER_ENTRY_SIZE;
+  const layout = entries.map(([z, coords]) => {
+    const count = Math.floor(coords.length / 2);
+    const entry = { z, coords, count, offset };
+    offset += Math.ceil((count * 2 * bytesPerValue) / 4) * 4;
+    return entry;
+  });
+
+  const buffer = Buffer.alloc(offset);
+  buffer.write(GENE_BINARY_MAGIC, 0, 'ascii');
+  buffer.writeUInt8(GENE_BINARY_VERSION, 4);
+  buffer.writeUInt8(encoding, 5);
+  buffer.writeUInt32LE(layout.length, 8);
+  buffer.writeFloatLE(minX, 12);
+  buffer.writeFloatLE(minY, 16);
+  buffer.writeFloatLE(maxX, 20);
+  buffer.writeFloatLE(maxY, 24);
+
+  const scaleX = maxX > minX ? 65535 / (maxX - minX) : 0;
+  const scaleY = maxY > minY ? 65535 / (maxY - minY) : 0;
+
+  layout.forEach(({ z, coords, count, offset: layerOffset }, index) => {
+    const entryOffset = GENE_HEADER_SIZE + index * GENE_LAYER_ENTRY_SIZE;
+    buffer.writeInt32LE(z, entryOffset);
+    buffer.writeUInt32LE(count, entryOffset + 4);
+    buffer.writeUInt32LE(layerOffset, entryOffset + 8);
+
+    for (let i = 0; i < count * 2; i += 2) {
+      if (encoding === GENE_ENCODINGS.u16) {
+        buffer.writeUInt16LE(Math.round((coords[i] - minX) * scaleX), layerOffset + i * 2);
+        buffer.writeUInt16LE(Math.round((coords[i + 1] - minY) * scaleY), layerOffset + i * 2 + 2);
+      } else {
+        buffer.writeFloatLE(coords[i], layerOffset + i * 4);
+        buffer.writeFloatLE(coords[i + 1], layerOffset + i * 4 + 4);
+      }
+    }
+  });
+
+  return buffer;
+}
+
+// Get a value from an LRU cache, loading and storing it on a miss
+function getCached(cache, key, load) {
+  if (cache.has(key)) {
+    // Move to the end so the least recently used entry is evicted first
+    const cached = cache.get(key);
+    cache.delete(key);
+    cache.set(key, cached);
+    return cached;
+  }
+
+  const value = load();
+  cache.set(key, value);
+  if (cache.size > GENE_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  return value;
+}
+
+// Read the layers ({ z: [x0, y0, x1, y1, ...] }) of a gzipped JSON gene file
+function readGeneLayers(datasetInfo, geneName) {
+  const key = `${datasetInfo.dataset}/${datasetInfo.variant}/${geneName}`;
+  return getCached(geneLayerCache, key, () => {
+    const jsonPath = path.join(datasetInfo.dataDir, 'genes_optimized', `${geneName}.json.gz`);
+    const data = JSON.parse(zlib.gunzipSync(fs.readFileSync(jsonPath)).toString('utf8'));
+    return data.layers || {};
+  });
+}
+
+// Convert a gzipped JSON gene file to the binary format, keeping recent results in memory
+function getGeneBinary(datasetInfo, geneName, encoding) {
+  const key = `${datasetInfo.dataset}/${datasetInfo.variant}/${geneName}/${encoding}`;
+  return getCached(geneBinaryCache, key, () =>
+    encodeGeneBinary(readGeneLayers(datasetInfo, geneName), encoding)
+  );
+}
+
+// Gene names are used as file names
+function isValidGeneName(geneName) {
+  return !/[\\/]|\.\./.test(geneName);
+}
+
+// Path of the gzipped JSON file for a gene, null if the gene does not exist
+function findGeneDataPath(datasetInfo, geneName) {
+  const geneDataPath = path.join(datasetInfo.dataDir, 'genes_optimized', `${geneName}.json.gz`);
+  return fs.existsSync(geneDataPath) ? geneDataPath : null;
+}
+
+// Serve a gene in the binary format, preferring a pre-built genes_binary/<gene>.bin file
+function sendGeneBinary(req, res, datasetInfo, geneName) {
+  const encoding = GENE_ENCODINGS[req.query.encoding || 'u16'];
+  if (encoding === undefined) {
+    return res.status(400).json({ error: `Invalid encoding: ${req.query.encoding}. Use f32 or u16` });
+  }
+
+  res.setHeader('Content-Type', 'application/octet-stream');
+
+  const prebuiltPath = path.join(datasetInfo.dataDir, 'genes_binary', `${geneName}.bin`);
+  if (!req.query.encoding && fs.existsSync(prebuiltPath)) {
+    return res.sendFile(prebuiltPath);
+  }
+
+  if (!findGeneDataPath(datasetInfo, geneName)) {
+    return res.status(404).json({
+      error: `Gene data not found for ${geneName} in dataset ${datasetInfo.dataset}/${datasetInfo.variant}`
+    });
+  }
+
+  try {
+    res.send(getGeneBinary(datasetInfo, geneName, encoding));
+  } catch (err) {
+    console.error(`Error converting gene data for ${geneName}:`, err);
+    res.status(500).json({ error: 'Failed to convert gene data' });
+  }
+}
+
 // Route to get gene data
 app.get('/api/genes/:geneName', (req, res) => {
   const { geneName } = req.params;
@@ -138,6 +441,14 @@ app.get('/api/genes/:geneName', (req, res) => {
   if (!datasetInfo.valid) {
     return res.status(400).json({ error: datasetInfo.error });
   }
+
+  if (!isValidGeneName(geneName)) {
+    return res.status(400).json({ error: `Invalid gene name: ${geneName}` });
+  }
+
+  if (req.query.format === 'bin') {
+    return sendGeneBinary(req, res, datasetInfo, geneName);
+  }
   
   const geneDataPath = path.join(datasetInfo.dataDir, 'genes_optimized', `${geneName}.json.gz`);
   
@@ -166,6 +477,72 @@ app.get('/api/genes/:geneName', (req, res) => {
   });
 });
 
+// Route to list the z-layers of a gene with their point counts
+app.get('/api/genes/:geneName/layers', (req, res) => {
+  const { geneName } = req.params;
+  const datasetInfo = getDatasetInfo(req);
+
+  if (!datasetInfo.valid) {
+    return res.status(400).json({ error: datasetInfo.error });
+  }
+  if (!isValidGeneName(geneName)) {
+    return res.status(400).json({ error: `Invalid gene name: ${geneName}` });
+  }
+  if (!findGeneDataPath(datasetInfo, geneName)) {
+    return res.status(404).json({
+      error: `Gene data not found for ${geneName} in dataset ${datasetInfo.dataset}/${datasetInfo.variant}`
+    });
+  }
+
+  try {
+    const layers = Object.entries(readGeneLayers(datasetInfo, geneName))
+      .map(([z, coords]) => ({ z: parseInt(z, 10), count: Math.floor(coords.length / 2) }))
+      .filter(({ z }) => !isNaN(z))
+      .sort((a, b) => a.z - b.z);
+    res.json({ gene: geneName, layers });
+  } catch (err) {
+    console.error(`Error reading gene layers for ${geneName}:`, err);
+    res.status(500).json({ error: 'Failed to read gene data' });
+  }
+});
+
+// Route to get a single z-layer of a gene in the binary format
+app.get('/api/genes/:geneName/layers/:z', (req, res) => {
+  const { geneName } = req.params;
+  const z = parseInt(req.params.z, 10);
+  const datasetInfo = getDatasetInfo(req);
+
+  if (!datasetInfo.valid) {
+    return res.status(400).json({ error: datasetInfo.error });
+  }
+  if (!isValidGeneName(geneName) || isNaN(z)) {
+    return res.status(400).json({ error: `Invalid gene layer: ${geneName}/${req.params.z}` });
+  }
+
+  const encoding = GENE_ENCODINGS[req.query.encoding || 'u16'];
+  if (encoding === undefined) {
+    return res.status(400).json({ error: `Invalid encoding: ${req.query.encoding}. Use f32 or u16` });
+  }
+
+  if (!findGeneDataPath(datasetInfo, geneName)) {
+    return res.status(404).json({
+      error: `Gene data not found for ${geneName} in dataset ${datasetInfo.dataset}/${datasetInfo.variant}`
+    });
+  }
+
+  try {
+    const coords = readGeneLayers(datasetInfo, geneName)[z];
+    if (!coords) {
+      return res.status(404).json({ error: `Gene ${geneName} has no points in layer ${z}` });
+    }
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.send(encodeGeneBinary({ [z]: coords }, encoding));
+  } catch (err) {
+    console.error(`Error reading gene layer ${z} for ${geneName}:`, err);
+    res.status(500).json({ error: 'Failed to read gene data' });
+  }
+});
+
 // Route to get cell boundary data
 app.get('/api/contours/:zstack', (req, res) => {
   const { zstack } = req.params;
@@ -303,5 +680,7 @@ app.listen(PORT, () => {
   console.log(`Base data directory: ${BASE_DATA_DIR}`);
   console.log(`Default dataset: ${DEFAULT_DATASET}`);
   console.log(`Default variant: ${DEFAULT_VARIANT}`);
-  console.log(`Available variants: ${AVAILABLE_VARIANTS.join(', ')}`);
+  getDatasetRegistry().datasets.forEach(dataset => {
+    console.log(`Dataset ${dataset.id}: ${dataset.variants.map(v => v.id).join(', ')}`);
+  });
 });
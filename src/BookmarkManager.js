@@ -0,0 +1,262 @@
+/**
+ * BookmarkManager.js
+ * Named camera views per dataset variant, saved in localStorage: position and zoom,
+ * z-layer and optionally the selected genes. Going to a bookmark animates the camera there.
+ */
+
+import { store } from "./store.js";
+import { config } from "./config.js";
+
+// localStorage key holding the bookmarks of all datasets
+const STORAGE_KEY = "merfisheyes.bookmarks";
+
+// Gene keys restored with a bookmark that includes genes, in the order they are applied
+const GENE_KEYS = ["geneColors", "visibleGenes", "selectedGenes"];
+
+export class BookmarkManager {
+  constructor() {
+    this.app = null;
+    this.panelInitialized = false;
+  }
+
+  /**
+   * Attach the bookmark manager to the application and set up the Bookmarks panel
+   * @param {MERFISHApp} app - Application whose camera and genes bookmarks are applied to
+   */
+  initialize(app) {
+    this.app = app;
+
+    if (!this.panelInitialized) {
+      this.panelInitialized = true;
+      this.initializePanel();
+    }
+    this.renderList();
+  }
+
+  /**
+   * Get the key the bookmarks of the current dataset variant are stored under
+   * @returns {string}
+   */
+  getDatasetKey() {
+    const { currentDataset, currentVariant } = config.dataPaths;
+    return `${currentDataset}/${currentVariant}`;
+  }
+
+  /**
+   * Read the bookmarks of all datasets from localStorage
+   * @returns {Object} Arrays of bookmarks keyed by dataset variant
+   */
+  readAll() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error("Error reading bookmarks:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Write the bookmarks of all datasets to localStorage
+   * @param {Object} bookmarks - Arrays of bookmarks keyed by dataset variant
+   * @returns {boolean} True if the bookmarks were stored
+   */
+  writeAll(bookmarks) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(bookmarks));
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled (e.g. private browsing)
+      console.error("Error saving bookmarks:", error);
+      alert("Could not save the bookmark, browser storage is unavailable or full.");
+      return false;
+    }
+  }
+
+  /**
+   * Get the bookmarks of the current dataset variant
+   * @returns {Array<Object>} Bookmarks in the order they were added
+   */
+  getBookmarks() {
+    return this.readAll()[this.getDatasetKey()] || [];
+  }
+
+  /**
+   * Store the bookmarks of the current dataset variant and re-render the list
+   * @param {Array<Object>} bookmarks
+   */
+  setBookmarks(bookmarks) {
+    const all = this.readAll();
+    if (bookmarks.length > 0) {
+      all[this.getDatasetKey()] = bookmarks;
+    } else {
+      delete all[this.getDatasetKey()];
+    }
+    if (this.writeAll(all)) {
+      this.renderList();
+    }
+  }
+
+  /**
+   * Bookmark the current view, replacing a bookmark with the same name
+   * @param {string} name - Name of the bookmark
+   * @param {boolean} includeGenes - Also restore the selected genes when going to it
+   */
+  addBookmark(name, includeGenes) {
+    if (!this.app?.sceneManager) return;
+
+    const bookmark = {
+      name,
+      savedAt: new Date().toISOString(),
+      camera: this.app.sceneManager.getCameraState(),
+      zstack: store.get("zstack"),
+    };
+    if (includeGenes) {
+      bookmark.genes = {};
+      GENE_KEYS.forEach((key) => {
+        bookmark.genes[key] = JSON.parse(JSON.stringify(store.get(key) || {}));
+      });
+    }
+
+    const bookmarks = this.getBookmarks();
+    const index = bookmarks.findIndex((existing) => existing.name === name);
+    if (index >= 0) {
+      bookmarks[index] = bookmark;
+    } else {
+      bookmarks.push(bookmark);
+    }
+    this.setBookmarks(bookmarks);
+  }
+
+  /**
+   * Delete a bookmark of the current dataset variant
+   * @param {number} index - Position in the list
+   */
+  deleteBookmark(index) {
+    const bookmarks = this.getBookmarks();
+    bookmarks.splice(index, 1);
+    this.setBookmarks(bookmarks);
+  }
+
+  /**
+   * Go to a bookmark: switch layer and genes, then animate the camera
+   * @param {number} index - Position in the list
+   */
+  goTo(index) {
+    const bookmark = this.getBookmarks()[index];
+    if (!bookmark || !this.app) return;
+
+    if (bookmark.zstack !== undefined && bookmark.zstack !== store.get("zstack")) {
+      store.set("zstackImmediate", bookmark.zstack);
+      store.set("zstack", bookmark.zstack);
+    }
+
+    if (bookmark.genes) {
+      GENE_KEYS.filter((key) => key in bookmark.genes).forEach((key) =>
+        store.set(key, JSON.parse(JSON.stringify(bookmark.genes[key])))
+      );
+      // Rebuild the gene selector and active genes list from the restored store
+      this.app.geneUIManager.syncWithStore();
+    }
+
+    this.app.sceneManager.flyTo(bookmark.camera);
+  }
+
+  /**
+   * Bind the Bookmarks panel controls
+   */
+  initializePanel() {
+    const nameInput = document.getElementById("bookmark-name-input");
+    const saveButton = document.getElementById("bookmark-save-btn");
+    const genesCheckbox = document.getElementById("bookmark-genes-checkbox");
+    const list = document.getElementById("bookmark-list");
+
+    if (saveButton && nameInput) {
+      const save = () => {
+        const name = nameInput.value.trim() || `Bookmark ${this.getBookmarks().length + 1}`;
+        this.addBookmark(name, !!genesCheckbox?.checked);
+        nameInput.value = "";
+      };
+      saveButton.addEventListener("click", save);
+      nameInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") save();
+      });
+    }
+
+    // One listener for all rows, the list is re-rendered on every change
+    if (list) {
+      list.addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-action]");
+        if (!button) return;
+
+        const index = parseInt(button.closest(".bookmark-item").getAttribute("data-index"), 10);
+        const action = button.getAttribute("data-action");
+        if (action === "go") {
+          this.goTo(index);
+        } else if (action === "delete") {
+          this.deleteBookmark(index);
+        }
+      });
+    }
+  }
+
+  /**
+   * Render the bookmarks of the current dataset variant
+   */
+  renderList() {
+    const list = document.getElementById("bookmark-list");
+    if (!list) return;
+
+    list.innerHTML = "";
+    const bookmarks = this.getBookmarks();
+
+    if (bookmarks.length === 0) {
+      const emptyMessage = document.createElement("div");
+      emptyMessage.className = "empty-message text-sm font-medium";
+      emptyMessage.textContent = "No bookmarks for this dataset";
+      list.appendChild(emptyMessage);
+      return;
+    }
+
+    bookmarks.forEach((bookmark, index) => {
+      const item = document.createElement("div");
+      item.className = "bookmark-item";
+      item.setAttribute("data-index", index);
+
+      const go = document.createElement("button");
+      go.className = "bookmark-go text-sm";
+      go.setAttribute("data-action", "go");
+      go.title = "Go to bookmark";
+
+      const name = document.createElement("div");
+      name.className = "bookmark-name font-medium";
+      name.textContent = bookmark.name;
+
+      const details = document.createElement("div");
+      details.className = "bookmark-details";
+      const genes = bookmark.genes
+        ? Object.keys(bookmark.genes.selectedGenes || {}).length
+        : null;
+      details.textContent = [
+        `Z=${bookmark.zstack}`,
+        `${bookmark.camera.zoom.toFixed(1)}×`,
+        genes !== null ? `${genes} gene${genes === 1 ? "" : "s"}` : "",
+      ]
+        .filter(Boolean)
+        .join(" · ");
+
+      go.append(name, details);
+
+      const remove = document.createElement("button");
+      remove.className = "text-sm";
+      remove.setAttribute("data-action", "delete");
+      remove.title = "Delete bookmark";
+      remove.textContent = "×";
+
+      item.append(go, remove);
+      list.appendChild(item);
+    });
+  }
+}
+
+// Create a singleton instance
+export const bookmarkManager = new BookmarkManager();
@@ -0,0 +1,187 @@
+/**
+ * CellAssignment.js
+ * Maps every transcript of a layer to the cell containing it, or to "extracellular",
+ * using a grid index over the boundary polygons (see spatialIndex.js) built in the worker pool.
+ * Results are cached per dataset, variant, layer and gene.
+ */
+
+import { config } from "./config.js";
+import { workerPool } from "./WorkerPool.js";
+import { EXTRACELLULAR } from "./spatialIndex.js";
+
+// Label of transcripts outside every cell
+export const EXTRACELLULAR_LABEL = "extracellular";
+
+// Number of gene layer assignments kept, the least recently used are dropped first
+const MAX_CACHED_ASSIGNMENTS = 64;
+
+export class CellAssignment {
+  constructor() {
+    this.app = null;
+
+    // Cache key to a Promise of { cellIds, cellIndices, counts, extracellular }
+    this.cache = new Map();
+
+    // Part of every cache key, bumped by invalidate()
+    this.version = 0;
+  }
+
+  /**
+   * Attach to the application whose boundaries and genes are assigned
+   * @param {MERFISHApp} app
+   */
+  initialize(app) {
+    this.app = app;
+  }
+
+  /**
+   * Drop all cached assignments, e.g. after switching dataset
+   */
+  invalidate() {
+    this.version++;
+    this.cache.clear();
+  }
+
+  /**
+   * Assign the transcripts of genes in a layer to the cells of the same layer
+   * @param {number|string} zstack - Layer
+   * @param {string[]} geneNames - Genes to assign
+   * @returns {Promise<{cellIds: Float64Array, genes: Object<string, {cellIndices: Int32Array, counts: Uint32Array, extracellular: number}>}>}
+   *   Cell ids by cell index, and per gene the cell index of every transcript
+   *   (EXTRACELLULAR outside cells), the transcripts per cell and the transcripts outside cells
+   */
+  async assignLayer(zstack, geneNames) {
+    const z = zstack.toString();
+    const keys = {};
+    geneNames.forEach((name) => {
+      keys[name] = this.getCacheKey(z, name);
+    });
+
+    // One worker task for all genes that are not cached, so the index is built once
+    const missing = geneNames.filter((name) => !this.cache.has(keys[name]));
+    if (missing.length > 0) {
+      const request = this.runAssignment(z, missing);
+      missing.forEach((name) => {
+        const promise = request.then(({ cellIds, genes }) => ({
+          cellIds,
+          ...genes[name],
+        }));
+        promise.catch(() => this.cache.delete(keys[name]));
+        this.cache.set(keys[name], promise);
+      });
+    }
+
+    const results = await Promise.all(geneNames.map((name) => this.touch(keys[name])));
+    this.trimCache();
+
+    const genes = {};
+    geneNames.forEach((name, i) => {
+      const { cellIndices, counts, extracellular } = results[i];
+      genes[name] = { cellIndices, counts, extracellular };
+    });
+    return {
+      cellIds: results.length > 0 ? results[0].cellIds : new Float64Array(0),
+      genes,
+    };
+  }
+
+  /**
+   * Get the cache key of a gene layer
+   * @private
+   * @param {string} z - Layer
+   * @param {string} geneName
+   * @returns {string}
+   */
+  getCacheKey(z, geneName) {
+    const { currentDataset, currentVariant } = config.dataPaths;
+    return `${this.version}/${currentDataset}/${currentVariant}/${z}/${geneName}`;
+  }
+
+  /**
+   * Get a cached assignment and mark it as recently used
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Promise<Object>}
+   */
+  touch(key) {
+    const promise = this.cache.get(key);
+    this.cache.delete(key);
+    this.cache.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Drop the least recently used assignments beyond the cache size
+   * @private
+   */
+  trimCache() {
+    while (this.cache.size > MAX_CACHED_ASSIGNMENTS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Run the assignment of some genes of a layer in the worker pool
+   * @private
+   * @param {string} z - Layer
+   * @param {string[]} geneNames
+   * @returns {Promise<Object>} Result of the assignTranscripts task
+   */
+  async runAssignment(z, geneNames) {
+    const coordinates = await Promise.all(
+      geneNames.map((name) => this.getGeneCoordinates(name, z))
+    );
+    const layers = {};
+    geneNames.forEach((name, i) => {
+      layers[name] = coordinates[i];
+    });
+
+    // Use the loaded boundaries when possible, otherwise the worker fetches them
+    const boundaries = this.app?.cellBoundaries?.boundaryLayers[z]?.jsonData;
+    const payload = boundaries
+      ? { boundaries, layers }
+      : {
+          url: workerPool.resolveUrl(config.dataPaths.getCellBoundariesPath(z)),
+          fallbackUrl: workerPool.resolveUrl(config.dataPaths.getCellBoundariesPathJSON(z)),
+          layers,
+        };
+    return workerPool.run("assignTranscripts", payload);
+  }
+
+  /**
+   * Get the transcript coordinates of a gene in a layer, loading them if the gene is not shown
+   * @private
+   * @param {string} geneName
+   * @param {string} z - Layer
+   * @returns {Promise<Float32Array>} Interleaved x,y coordinates
+   */
+  async getGeneCoordinates(geneName, z) {
+    const geneLoader = this.app.geneLoader;
+    const gene = geneLoader.activeGenes.get(geneName);
+    const layer = gene ? gene.getLayer(z) : null;
+    if (layer) return layer.coordinates;
+    if (gene && !gene.hasLayerSource()) return new Float32Array(0);
+
+    const layerKeys = await geneLoader.fetchGeneLayerIndex(geneName);
+    if (layerKeys) {
+      return layerKeys.includes(z)
+        ? geneLoader.fetchGeneLayer(geneName, z)
+        : new Float32Array(0);
+    }
+    const data = await geneLoader.fetchGeneData(geneName);
+    return data.layers[z] || new Float32Array(0);
+  }
+}
+
+/**
+ * Get the cell id of an assigned transcript
+ * @param {Float64Array} cellIds - Cell ids by cell index, from assignLayer()
+ * @param {number} cellIndex - Cell index of the transcript
+ * @returns {number|string} Cell id, or EXTRACELLULAR_LABEL
+ */
+export function getCellLabel(cellIds, cellIndex) {
+  return cellIndex === EXTRACELLULAR ? EXTRACELLULAR_LABEL : cellIds[cellIndex];
+}
+
+// Create a singleton instance
+export const cellAssignment = new CellAssignment();
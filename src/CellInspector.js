@@ -0,0 +1,420 @@
+/**
+ * CellInspector.js
+ * Click a cell to select it: the cell stays outlined and a panel lists its cluster,
+ * area, perimeter, the z-layers it appears in and the transcripts of the selected genes inside it.
+ * The z-layers are looked up in the loaded boundaries, searching all layers only on request.
+ */
+
+import * as THREE from "three";
+import { store } from "./store.js";
+import { config } from "./config.js";
+import { workerPool } from "./WorkerPool.js";
+import {
+  findCellAt,
+  getCellRange,
+  polygonArea,
+  polygonPerimeter,
+  countPointsInPolygon,
+} from "./geometry.js";
+
+// Outline color of the selected cell
+const HIGHLIGHT_COLOR = 0xffd400;
+
+export class CellInspector {
+  constructor() {
+    this.app = null;
+    this.sceneManager = null;
+    this.panelInitialized = false;
+
+    // Selected cell id, null when nothing is selected
+    this.cellId = null;
+
+    // Outline of the selected cell in the current layer
+    this.highlight = null;
+
+    // Layers of cells searched in all layers ("dataset/variant/cell" to a Promise of layers)
+    this.cellLayerCache = new Map();
+
+    // Whether the layers shown for the selected cell come from a search of all layers
+    this.layersComplete = false;
+
+    // Incremented per selection so results for a previous cell are dropped
+    this.selection = 0;
+  }
+
+  /**
+   * Attach the inspector to the application and set up the panel
+   * @param {MERFISHApp} app - Application whose boundaries and genes are inspected
+   */
+  initialize(app) {
+    this.app = app;
+
+    if (this.sceneManager !== app.sceneManager) {
+      this.sceneManager = app.sceneManager;
+      this.sceneManager.addClickListener((event) => this.handleClick(event));
+    }
+
+    if (!this.panelInitialized) {
+      this.panelInitialized = true;
+      this.initializePanel();
+
+      // Follow the selected cell through the layers and gene selection
+      store.subscribe("zstack", () => this.refresh());
+      store.subscribe("selectedGenes", () => this.refresh());
+      // Newly loaded layers may contain the selected cell
+      store.subscribe("boundariesRendered", () => this.updateLoadedLayers());
+    }
+  }
+
+  /**
+   * Select the cell under a click on the canvas, or clear the selection when there is none
+   * @param {PointerEvent} event - The click
+   */
+  handleClick(event) {
+    // Clicks place ROI vertices or ruler points while another tool is active
+    if (store.get("interactionMode") !== "navigate") return;
+
+    const data = this.getLayerData();
+    const point = this.sceneManager.screenToData(event.clientX, event.clientY);
+    if (!data || !point) return;
+
+    const index = findCellAt(data, point.x, point.y);
+    if (index === -1) {
+      this.clear();
+      return;
+    }
+    this.select(data.cellIds[index]);
+  }
+
+  /**
+   * Select a cell by id and open the panel
+   * @param {number} cellId - Cell id, as in the boundary files
+   */
+  select(cellId) {
+    this.cellId = cellId;
+    const selection = ++this.selection;
+
+    this.refresh();
+    const cached = this.cellLayerCache.get(this.getCellKey(cellId));
+    if (cached) {
+      this.layersComplete = true;
+      cached.then((layers) => {
+        if (selection === this.selection) this.renderLayers(layers);
+      });
+    } else {
+      this.layersComplete = false;
+      this.updateLoadedLayers();
+    }
+  }
+
+  /**
+   * Search all layers for the selected cell, fetching the cell ids of layers that are not loaded
+   */
+  searchAllLayers() {
+    if (this.cellId === null) return;
+    const selection = this.selection;
+    const key = this.getCellKey(this.cellId);
+
+    if (!this.cellLayerCache.has(key)) {
+      const promise = this.findCellLayers(this.cellId);
+      // Failed searches are retried on request
+      promise.catch(() => this.cellLayerCache.delete(key));
+      this.cellLayerCache.set(key, promise);
+    }
+
+    this.layersComplete = true;
+    const element = document.getElementById("cell-inspector-layers");
+    if (element) element.textContent = "Searching…";
+    this.cellLayerCache.get(key).then(
+      (layers) => {
+        if (selection === this.selection) this.renderLayers(layers);
+      },
+      () => {
+        if (selection !== this.selection) return;
+        this.layersComplete = false;
+        this.updateLoadedLayers();
+      }
+    );
+  }
+
+  /**
+   * Clear the selection, remove the outline and close the panel
+   */
+  clear() {
+    this.cellId = null;
+    this.selection++;
+    this.removeHighlight();
+
+    const panel = document.getElementById("cell-inspector");
+    if (panel) panel.style.display = "none";
+  }
+
+  /**
+   * Drop cached cell ids and the selection, e.g. after switching dataset
+   */
+  reset() {
+    this.cellLayerCache.clear();
+    this.clear();
+  }
+
+  /**
+   * Boundary data of the current layer
+   * @returns {{cellOffsets: Uint32Array, points: Float32Array, cellIds: Float64Array}|null}
+   */
+  getLayerData() {
+    const zstack = store.get("zstack").toString();
+    const layer = this.app?.cellBoundaries?.boundaryLayers[zstack];
+    return layer ? layer.jsonData : null;
+  }
+
+  /**
+   * Update the outline and the per-layer details for the current z-stack
+   */
+  refresh() {
+    if (this.cellId === null) return;
+
+    const data = this.getLayerData();
+    const index = data ? data.cellIds.indexOf(this.cellId) : -1;
+
+    this.removeHighlight();
+    if (index !== -1) {
+      this.addHighlight(data, index);
+    }
+    this.renderDetails(data, index);
+  }
+
+  /**
+   * Outline a cell of the current layer
+   * @param {{cellOffsets: Uint32Array, points: Float32Array}} data - Boundary data
+   * @param {number} index - Cell index
+   */
+  addHighlight(data, index) {
+    const { start, end } = getCellRange(data, index);
+    const positions = new Float32Array((end - start) * 3);
+    for (let i = start; i < end; i++) {
+      positions[(i - start) * 3] = data.points[i * 2];
+      positions[(i - start) * 3 + 1] = data.points[i * 2 + 1];
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    const material = new THREE.LineBasicMaterial({
+      color: HIGHLIGHT_COLOR,
+      depthTest: false,
+    });
+    this.highlight = new THREE.LineLoop(geometry, material);
+    this.highlight.renderOrder = 10;
+
+    // Above the gene points in 2D, on the layer's plane in 3D
+    this.highlight.position.z =
+      store.get("viewMode") === "3d"
+        ? store.get("zstack") * config.dataPaths.getZStep()
+        : 2;
+
+    this.sceneManager.getScene().add(this.highlight);
+  }
+
+  /**
+   * Remove the outline of the selected cell
+   */
+  removeHighlight() {
+    if (!this.highlight) return;
+    this.highlight.removeFromParent();
+    this.highlight.geometry.dispose();
+    this.highlight.material.dispose();
+    this.highlight = null;
+  }
+
+  /**
+   * Get the cache key of a cell in the current dataset variant
+   * @param {number} cellId
+   * @returns {string}
+   */
+  getCellKey(cellId) {
+    const { currentDataset, currentVariant } = config.dataPaths;
+    return `${currentDataset}/${currentVariant}/${cellId}`;
+  }
+
+  /**
+   * Find the loaded z-layers a cell appears in
+   * @param {number} cellId - Cell id
+   * @returns {number[]} Layers, ascending
+   */
+  findLoadedCellLayers(cellId) {
+    const boundaryLayers = this.app?.cellBoundaries?.boundaryLayers || {};
+    return Object.entries(boundaryLayers)
+      .filter(([, layer]) => layer.jsonData && layer.jsonData.cellIds.includes(cellId))
+      .map(([z]) => parseInt(z))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Show the loaded layers of the selected cell, until all layers have been searched
+   */
+  updateLoadedLayers() {
+    if (this.cellId === null || this.layersComplete) return;
+    this.renderLayers(this.findLoadedCellLayers(this.cellId));
+  }
+
+  /**
+   * Find the z-layers a cell appears in, fetching the cell ids of layers that are not loaded.
+   * Only the matching layers are kept, not the cell ids of each layer.
+   * @param {number} cellId - Cell id
+   * @returns {Promise<number[]>} Layers, ascending
+   */
+  async findCellLayers(cellId) {
+    const min = config.dataPaths.getMinLayer();
+    const max = config.dataPaths.getMaxLayer();
+    const layers = [];
+    for (let z = min; z <= max; z++) layers.push(z);
+
+    const found = await Promise.all(
+      layers.map((z) => {
+        const loaded = this.app?.cellBoundaries?.boundaryLayers[z.toString()]?.jsonData;
+        if (loaded) return loaded.cellIds.includes(cellId);
+        return workerPool
+          .run("loadCellIds", {
+            url: workerPool.resolveUrl(config.dataPaths.getCellBoundariesPath(z)),
+            fallbackUrl: workerPool.resolveUrl(
+              config.dataPaths.getCellBoundariesPathJSON(z)
+            ),
+          })
+          .then(
+            ({ cellIds }) => cellIds.includes(cellId),
+            () => false
+          );
+      })
+    );
+    return layers.filter((_, i) => found[i]);
+  }
+
+  /**
+   * Bind the panel controls
+   */
+  initializePanel() {
+    const closeButton = document.getElementById("cell-inspector-close");
+    const layersElement = document.getElementById("cell-inspector-layers");
+    if (closeButton) {
+      closeButton.addEventListener("click", () => this.clear());
+    }
+    if (layersElement) {
+      layersElement.addEventListener("click", (e) => {
+        if (e.target.closest("button[data-action='search-layers']")) this.searchAllLayers();
+      });
+    }
+  }
+
+  /**
+   * Render the cell details and transcript counts for the current layer
+   * @param {Object|null} data - Boundary data of the current layer
+   * @param {number} index - Cell index in the layer, -1 if the cell is not in it
+   */
+  renderDetails(data, index) {
+    const panel = document.getElementById("cell-inspector");
+    if (!panel) return;
+
+    const zstack = store.get("zstack").toString();
+    const clusters = store.get("clusters") || {};
+    const cluster = clusters[this.cellId.toString()];
+
+    document.getElementById("cell-inspector-id").textContent = this.cellId;
+
+    const rows = [["Cluster", cluster ?? "Unassigned"]];
+    if (index !== -1) {
+      const { start, end } = getCellRange(data, index);
+      const pixelSize = config.dataPaths.getPixelSize();
+      const unit = config.dataPaths.getLengthUnit();
+      const area = polygonArea(data.points, start, end) * pixelSize ** 2;
+      const perimeter = polygonPerimeter(data.points, start, end) * pixelSize;
+      rows.push(
+        ["Area", `${area.toFixed(1)} ${unit}²`],
+        ["Perimeter", `${perimeter.toFixed(1)} ${unit}`]
+      );
+    } else {
+      rows.push(["Current layer", "Cell not present"]);
+    }
+    this.renderRows(document.getElementById("cell-inspector-details"), rows);
+
+    // Transcripts of the selected genes inside the cell, in the current layer
+    const geneRows = [];
+    if (index !== -1 && this.app?.geneLoader) {
+      const { start, end } = getCellRange(data, index);
+      this.app.geneLoader.activeGenes.forEach((gene, name) => {
+        const layer = gene.getLayer(zstack);
+        geneRows.push([
+          name,
+          layer
+            ? countPointsInPolygon(layer.coordinates, data.points, start, end)
+            : 0,
+        ]);
+      });
+    }
+    document.getElementById("cell-inspector-genes-title").textContent =
+      `Transcripts (Z=${zstack})`;
+    this.renderRows(
+      document.getElementById("cell-inspector-genes"),
+      geneRows.length > 0 ? geneRows : [["No genes selected", ""]]
+    );
+
+    panel.style.display = "block";
+  }
+
+  /**
+   * Render the z-layers the cell appears in, with a button to search all layers
+   * when only the loaded ones were searched
+   * @param {number[]} layers - Layers, ascending
+   */
+  renderLayers(layers) {
+    const element = document.getElementById("cell-inspector-layers");
+    if (!element) return;
+    element.textContent = layers.length > 0 ? formatLayerRanges(layers) : "None";
+    if (this.layersComplete) return;
+
+    element.textContent += " of loaded";
+    const button = document.createElement("button");
+    button.className = "text-sm";
+    button.setAttribute("data-action", "search-layers");
+    button.title = "Fetch the cell ids of all layers";
+    button.textContent = "Search all";
+    element.appendChild(button);
+  }
+
+  /**
+   * Fill a definition list with label and value rows
+   * @param {HTMLElement} list - The list element
+   * @param {Array<[string, *]>} rows - Label and value pairs
+   */
+  renderRows(list, rows) {
+    if (!list) return;
+    list.innerHTML = "";
+    rows.forEach(([label, value]) => {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const description = document.createElement("dd");
+      description.textContent = value;
+      list.appendChild(term);
+      list.appendChild(description);
+    });
+  }
+}
+
+/**
+ * Format ascending layers as compact ranges, e.g. "3-7, 9"
+ * @param {number[]} layers - Layers, ascending
+ * @returns {string}
+ */
+function formatLayerRanges(layers) {
+  const ranges = [];
+  let start = layers[0];
+  for (let i = 1; i <= layers.length; i++) {
+    if (layers[i] !== layers[i - 1] + 1) {
+      const end = layers[i - 1];
+      ranges.push(start === end ? `${start}` : `${start}-${end}`);
+      start = layers[i];
+    }
+  }
+  return ranges.join(", ");
+}
+
+// Create a singleton instance
+export const cellInspector = new CellInspector();
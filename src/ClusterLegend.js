@@ -0,0 +1,226 @@
+/**
+ * ClusterLegend.js
+ * Lists the clusters of the current variant with their palette color and cell count,
+ * to show, hide, solo and recolor them. Changes go through the store ("hiddenClusters"
+ * and "palette"), which CellBoundaries applies to the loaded layers in place.
+ * A multi-select picks the clusters whose transcripts are shown ("transcriptClusterFilter"),
+ * applied by GeneLoader.
+ */
+
+import * as THREE from "three";
+import { store } from "./store.js";
+
+export class ClusterLegend {
+  constructor() {
+    this.panelInitialized = false;
+  }
+
+  /**
+   * Set up the Clusters panel
+   */
+  initialize() {
+    if (this.panelInitialized) return;
+    this.panelInitialized = true;
+
+    this.initializePanel();
+    store.subscribe("palette", () => this.render());
+    store.subscribe("clusters", () => this.render());
+    store.subscribe("hiddenClusters", () => this.render());
+    store.subscribe("transcriptClusterFilter", () => this.updateTranscriptFilter());
+    this.render();
+  }
+
+  /**
+   * Get the clusters with their cell counts, most cells first
+   * @returns {Array<{name: string, count: number}>}
+   */
+  getClusters() {
+    const palette = store.get("palette") || {};
+    const clusters = store.get("clusters") || {};
+
+    const counts = {};
+    Object.keys(palette).forEach((name) => {
+      counts[name] = 0;
+    });
+    Object.values(clusters).forEach((name) => {
+      counts[name] = (counts[name] || 0) + 1;
+    });
+
+    return Object.entries(counts)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Show or hide a cluster
+   * @param {string} name - Cluster name
+   * @param {boolean} visible
+   */
+  setVisible(name, visible) {
+    const hidden = (store.get("hiddenClusters") || []).filter((cluster) => cluster !== name);
+    if (!visible) hidden.push(name);
+    store.set("hiddenClusters", hidden);
+  }
+
+  /**
+   * Show only one cluster, or all clusters again if it is already the only one shown
+   * @param {string} name - Cluster name
+   */
+  solo(name) {
+    const others = this.getClusters()
+      .map((cluster) => cluster.name)
+      .filter((cluster) => cluster !== name);
+    const hidden = new Set(store.get("hiddenClusters") || []);
+    const isSolo = !hidden.has(name) && others.every((cluster) => hidden.has(cluster));
+    store.set("hiddenClusters", isSolo ? [] : others);
+  }
+
+  /**
+   * Change the palette color of a cluster
+   * @param {string} name - Cluster name
+   * @param {string} color - CSS color, e.g. "#ff8800"
+   */
+  setColor(name, color) {
+    store.set("palette", { ...(store.get("palette") || {}), [name]: color });
+  }
+
+  /**
+   * Bind the panel controls
+   */
+  initializePanel() {
+    const showAllButton = document.getElementById("cluster-show-all-btn");
+    const hideAllButton = document.getElementById("cluster-hide-all-btn");
+    const clusterList = document.getElementById("cluster-list");
+
+    if (showAllButton) {
+      showAllButton.addEventListener("click", () => store.set("hiddenClusters", []));
+    }
+    if (hideAllButton) {
+      hideAllButton.addEventListener("click", () =>
+        store.set(
+          "hiddenClusters",
+          this.getClusters().map((cluster) => cluster.name)
+        )
+      );
+    }
+
+    const filterSelect = document.getElementById("transcript-cluster-select");
+    const clearFilterButton = document.getElementById("transcript-cluster-clear-btn");
+    if (filterSelect) {
+      filterSelect.addEventListener("change", () => {
+        store.set(
+          "transcriptClusterFilter",
+          Array.from(filterSelect.selectedOptions, (option) => option.value)
+        );
+      });
+    }
+    if (clearFilterButton) {
+      clearFilterButton.addEventListener("click", () =>
+        store.set("transcriptClusterFilter", [])
+      );
+    }
+
+    if (clusterList) {
+      clusterList.addEventListener("change", (e) => {
+        const item = e.target.closest(".cluster-item");
+        if (!item) return;
+        const name = item.getAttribute("data-cluster");
+        const action = e.target.getAttribute("data-action");
+        if (action === "toggle") {
+          this.setVisible(name, e.target.checked);
+        } else if (action === "color") {
+          this.setColor(name, e.target.value);
+        }
+      });
+
+      clusterList.addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-action='solo']");
+        if (!button) return;
+        this.solo(button.closest(".cluster-item").getAttribute("data-cluster"));
+      });
+    }
+  }
+
+  /**
+   * Select the filtered clusters in the transcript filter
+   */
+  updateTranscriptFilter() {
+    const filterSelect = document.getElementById("transcript-cluster-select");
+    if (!filterSelect) return;
+
+    const filter = new Set(store.get("transcriptClusterFilter") || []);
+    Array.from(filterSelect.options).forEach((option) => {
+      option.selected = filter.has(option.value);
+    });
+  }
+
+  /**
+   * Render the cluster list and the options of the transcript filter
+   */
+  render() {
+    const clusterList = document.getElementById("cluster-list");
+    if (!clusterList) return;
+
+    clusterList.innerHTML = "";
+    const clusters = this.getClusters();
+
+    const filterSelect = document.getElementById("transcript-cluster-select");
+    if (filterSelect) {
+      filterSelect.innerHTML = "";
+      clusters.forEach(({ name }) => filterSelect.appendChild(new Option(name, name)));
+      this.updateTranscriptFilter();
+    }
+
+    if (clusters.length === 0) {
+      const emptyMessage = document.createElement("div");
+      emptyMessage.className = "empty-message text-sm font-medium";
+      emptyMessage.textContent = "No clusters loaded";
+      clusterList.appendChild(emptyMessage);
+      return;
+    }
+
+    const palette = store.get("palette") || {};
+    const hidden = new Set(store.get("hiddenClusters") || []);
+
+    clusters.forEach(({ name, count }) => {
+      const item = document.createElement("div");
+      item.className = "cluster-item";
+      item.setAttribute("data-cluster", name);
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = !hidden.has(name);
+      checkbox.title = "Show cluster";
+      checkbox.setAttribute("data-action", "toggle");
+
+      // Color inputs only accept #rrggbb
+      const colorInput = document.createElement("input");
+      colorInput.type = "color";
+      colorInput.value = `#${new THREE.Color(palette[name] || 0x000000).getHexString()}`;
+      colorInput.title = "Cluster color";
+      colorInput.setAttribute("data-action", "color");
+
+      const label = document.createElement("span");
+      label.className = "cluster-name";
+      label.textContent = name;
+      label.title = name;
+
+      const cellCount = document.createElement("span");
+      cellCount.className = "cluster-count";
+      cellCount.textContent = count.toLocaleString();
+      cellCount.title = "Cells";
+
+      const soloButton = document.createElement("button");
+      soloButton.className = "text-sm";
+      soloButton.setAttribute("data-action", "solo");
+      soloButton.title = "Show only this cluster";
+      soloButton.textContent = "Solo";
+
+      item.append(checkbox, colorInput, label, cellCount, soloButton);
+      clusterList.appendChild(item);
+    });
+  }
+}
+
+// Create a singleton instance
+export const clusterLegend = new ClusterLegend();
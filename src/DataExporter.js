@@ -0,0 +1,259 @@
+/**
+ * DataExporter.js
+ * Exports what is on screen as CSV for downstream analysis: the shown transcripts of the
+ * visible genes with their assigned cell, and the cells of the current layer with their
+ * cluster, centroid and area. Either table can be limited to a region of interest.
+ */
+
+import { store } from "./store.js";
+import { config } from "./config.js";
+import { cellAssignment, getCellLabel } from "./CellAssignment.js";
+import { roiManager } from "./ROIManager.js";
+import { EXTRACELLULAR } from "./spatialIndex.js";
+import { getCellRange, polygonArea, polygonCentroid } from "./geometry.js";
+
+// Rows per string chunk of the CSV blob, to avoid one huge string
+const ROWS_PER_CHUNK = 100000;
+
+export class DataExporter {
+  constructor() {
+    this.app = null;
+    this.panelInitialized = false;
+    this.exporting = false;
+  }
+
+  /**
+   * Attach to the application whose genes and boundaries are exported, and set up the panel
+   * @param {MERFISHApp} app
+   */
+  initialize(app) {
+    this.app = app;
+
+    if (!this.panelInitialized) {
+      this.panelInitialized = true;
+      this.initializePanel();
+      store.subscribe("rois", () => this.renderROIOptions());
+    }
+    this.renderROIOptions();
+  }
+
+  /**
+   * Get the transcripts shown on screen: visible genes, shown layers, and only those
+   * inside cells of the filtered clusters when a transcript cluster filter is set
+   * @param {Object|null} roi - Only transcripts inside this ROI, null for all
+   * @returns {Promise<Array<Array>>} Rows of [gene, x, y, z, cell] with x and y in pixels
+   */
+  async getTranscriptRows(roi) {
+    const filter = store.get("transcriptClusterFilter") || [];
+    const selectedClusters = new Set(filter);
+    const clusters = store.get("clusters") || {};
+
+    // Visible genes by shown layer, so each layer is assigned once for all genes
+    const genesByLayer = new Map();
+    this.app.geneLoader.activeGenes.forEach((gene, geneName) => {
+      if (!gene.isVisible) return;
+      gene.getShownLayerKeys().forEach((z) => {
+        if (!genesByLayer.has(z)) genesByLayer.set(z, []);
+        genesByLayer.get(z).push([geneName, gene.getLayer(z)]);
+      });
+    });
+
+    const rows = [];
+    const layers = Array.from(genesByLayer.keys()).sort((a, b) => parseInt(a) - parseInt(b));
+    for (const z of layers) {
+      const entries = genesByLayer.get(z);
+      const { cellIds, genes } = await cellAssignment.assignLayer(
+        z,
+        entries.map(([geneName]) => geneName)
+      );
+
+      entries.forEach(([geneName, layer]) => {
+        const { coordinates } = layer;
+        const { cellIndices } = genes[geneName];
+        for (let i = 0; i < cellIndices.length; i++) {
+          const cell = cellIndices[i];
+          if (
+            filter.length > 0 &&
+            (cell === EXTRACELLULAR ||
+              !selectedClusters.has(clusters[cellIds[cell].toString()]))
+          ) {
+            continue;
+          }
+
+          const x = coordinates[i * 2];
+          const y = coordinates[i * 2 + 1];
+          if (roi && !roiManager.containsPoint(roi, x, y)) continue;
+          rows.push([geneName, x, y, z, getCellLabel(cellIds, cell)]);
+        }
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Get the cells of the current layer that are not in a hidden cluster
+   * @param {Object|null} roi - Only cells whose centroid lies inside this ROI, null for all
+   * @returns {Array<Array>|null} Rows of [cell_id, cluster, centroid_x, centroid_y, area, z]
+   *   with the centroid in pixels and the area in µm² (px² for uncalibrated variants),
+   *   null when the boundaries of the layer are not loaded
+   */
+  getCellRows(roi) {
+    const z = store.get("zstack").toString();
+    const data = this.app?.cellBoundaries?.boundaryLayers[z]?.jsonData;
+    if (!data) return null;
+
+    const clusters = store.get("clusters") || {};
+    const hidden = new Set(store.get("hiddenClusters") || []);
+
+    const pixelArea = config.dataPaths.getPixelSize() ** 2;
+    const rows = [];
+    for (let index = 0; index < data.cellIds.length; index++) {
+      const cellId = data.cellIds[index];
+      const cluster = clusters[cellId.toString()] ?? "";
+      if (hidden.has(cluster)) continue;
+
+      const { start, end } = getCellRange(data, index);
+      if (end - start < 3) continue;
+      const centroid = polygonCentroid(data.points, start, end);
+      if (roi && !roiManager.containsPoint(roi, centroid.x, centroid.y)) continue;
+
+      rows.push([
+        cellId,
+        cluster,
+        centroid.x.toFixed(2),
+        centroid.y.toFixed(2),
+        (polygonArea(data.points, start, end) * pixelArea).toFixed(2),
+        z,
+      ]);
+    }
+    return rows;
+  }
+
+  /**
+   * Export the selected tables
+   * @param {Object} options
+   * @param {boolean} options.transcripts - Export the shown transcripts
+   * @param {boolean} options.cells - Export the cells of the current layer
+   * @param {number|null} options.roiId - Limit both tables to this ROI, null for all
+   */
+  async export({ transcripts, cells, roiId }) {
+    if (this.exporting) return;
+    this.exporting = true;
+
+    const roi = roiId !== null ? roiManager.getROI(roiId) : null;
+    const parts = [config.dataPaths.currentDataset, config.dataPaths.currentVariant];
+    if (roi) parts.push(roi.name);
+    const prefix = parts.filter(Boolean).join("_").replace(/[^\w.-]+/g, "_");
+
+    // Areas are converted with the pixel size, coordinates stay in pixels like the source data
+    const areaUnit = config.dataPaths.hasPixelSize() ? "um2" : "px2";
+
+    try {
+      if (transcripts) {
+        const rows = await this.getTranscriptRows(roi);
+        downloadCSV(
+          `${prefix}_transcripts.csv`,
+          ["gene", "x_px", "y_px", "z", "cell_id"],
+          rows
+        );
+      }
+      if (cells) {
+        const rows = this.getCellRows(roi);
+        if (rows) {
+          downloadCSV(
+            `${prefix}_cells.csv`,
+            ["cell_id", "cluster", "centroid_x_px", "centroid_y_px", `area_${areaUnit}`, "z"],
+            rows
+          );
+        } else {
+          alert("Cell boundaries of the current layer are not loaded.");
+        }
+      }
+    } catch (error) {
+      console.error("Error exporting data:", error);
+      alert("Export failed, see the console for details.");
+    } finally {
+      this.exporting = false;
+    }
+  }
+
+  /**
+   * Bind the panel controls
+   */
+  initializePanel() {
+    const exportButton = document.getElementById("export-btn");
+    if (!exportButton) return;
+
+    exportButton.addEventListener("click", async () => {
+      const roiValue = document.getElementById("export-roi-select")?.value || "";
+      exportButton.disabled = true;
+      exportButton.textContent = "Exporting…";
+      await this.export({
+        transcripts: document.getElementById("export-transcripts-checkbox")?.checked,
+        cells: document.getElementById("export-cells-checkbox")?.checked,
+        roiId: roiValue ? parseInt(roiValue, 10) : null,
+      });
+      exportButton.disabled = false;
+      exportButton.textContent = "Export CSV";
+    });
+  }
+
+  /**
+   * List the ROIs in the region select, keeping the selection when it still exists
+   */
+  renderROIOptions() {
+    const select = document.getElementById("export-roi-select");
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = "";
+    select.appendChild(new Option("Everything shown", ""));
+    roiManager.getROIs().forEach((roi) => {
+      select.appendChild(new Option(roi.name, roi.id.toString()));
+    });
+    select.value = Array.from(select.options).some((option) => option.value === selected)
+      ? selected
+      : "";
+  }
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+function formatField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Download rows as a CSV file
+ * @param {string} filename
+ * @param {string[]} header - Column names
+ * @param {Array<Array>} rows
+ */
+function downloadCSV(filename, header, rows) {
+  const chunks = [header.join(",") + "\n"];
+  for (let i = 0; i < rows.length; i += ROWS_PER_CHUNK) {
+    chunks.push(
+      rows
+        .slice(i, i + ROWS_PER_CHUNK)
+        .map((row) => row.map(formatField).join(",") + "\n")
+        .join("")
+    );
+  }
+
+  const blob = new Blob(chunks, { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Create a singleton instance
+export const dataExporter = new DataExporter();
@@ -0,0 +1,543 @@
+/**
+ * FigureExporter.js
+ * Publication figures of the current view: a PNG rendered offscreen in tiles at any
+ * resolution, or an SVG with the cell outlines as paths and the transcripts in their genes' glyphs.
+ * Both can carry a scale bar and a legend of the visible genes.
+ */
+
+import * as THREE from "three";
+import { store } from "./store.js";
+import { config } from "./config.js";
+import { getCellRange, polygonBounds } from "./geometry.js";
+import { getNiceLength, formatLength } from "./ScaleBar.js";
+
+// Largest tile rendered at once, and the largest figure side browsers can hold in a canvas
+const TILE_SIZE = 2048;
+const MAX_FIGURE_SIZE = 16384;
+
+// Diameter of a transcript on screen in device pixels per unit of dotSize, as in Layer's shader
+const POINT_SIZE_FACTOR = 1.7;
+
+export class FigureExporter {
+  constructor() {
+    this.app = null;
+    this.panelInitialized = false;
+    this.exporting = false;
+  }
+
+  /**
+   * Attach to the application whose view is exported, and set up the figure controls
+   * @param {MERFISHApp} app
+   */
+  initialize(app) {
+    this.app = app;
+
+    if (!this.panelInitialized) {
+      this.panelInitialized = true;
+      this.initializePanel();
+    }
+  }
+
+  /**
+   * Get the size of a figure of the current view
+   * @param {number} width - Figure width in pixels
+   * @returns {{width: number, height: number}} Height follows the aspect of the view
+   */
+  getFigureSize(width) {
+    const canvas = this.app.sceneManager.renderer.domElement;
+    return {
+      width: Math.round(width),
+      height: Math.max(1, Math.round((width * canvas.height) / canvas.width)),
+    };
+  }
+
+  /**
+   * Get the data rectangle shown in the 2D view
+   * @returns {{left: number, top: number, width: number, height: number}} In data units, y up
+   */
+  getViewRect() {
+    const camera = this.app.sceneManager.camera;
+    return {
+      left: camera.position.x + camera.left / camera.zoom,
+      top: camera.position.y + camera.top / camera.zoom,
+      width: (camera.right - camera.left) / camera.zoom,
+      height: (camera.top - camera.bottom) / camera.zoom,
+    };
+  }
+
+  /**
+   * Render the current view to a PNG, in tiles so the figure can exceed the canvas size
+   * @param {Object} options
+   * @param {number} options.width - Figure width in pixels
+   * @param {boolean} options.scaleBar - Draw a scale bar (2D view only)
+   * @param {boolean} options.legend - Draw a legend of the visible genes
+   * @returns {Promise<Blob>}
+   */
+  async renderPNG({ width, scaleBar, legend }) {
+    const { renderer, camera } = this.app.sceneManager;
+    const scene = this.app.sceneManager.getScene();
+    const figure = this.getFigureSize(width);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = figure.width;
+    canvas.height = figure.height;
+    const context = canvas.getContext("2d");
+
+    // Points are sized in device pixels, so scale them with the figure
+    const scale = figure.width / renderer.domElement.width;
+    const pointMaterials = [];
+    scene.traverse((object) => {
+      if (object.isPoints && object.material.uniforms?.dotSize) {
+        pointMaterials.push([object.material, object.material.uniforms.dotSize.value]);
+      }
+    });
+
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    try {
+      pointMaterials.forEach(([material, dotSize]) => {
+        material.uniforms.dotSize.value = dotSize * scale;
+      });
+      renderer.setPixelRatio(1);
+
+      // Each tile is copied right after rendering, before the drawing buffer is cleared
+      for (let y = 0; y < figure.height; y += TILE_SIZE) {
+        for (let x = 0; x < figure.width; x += TILE_SIZE) {
+          const tileWidth = Math.min(TILE_SIZE, figure.width - x);
+          const tileHeight = Math.min(TILE_SIZE, figure.height - y);
+          renderer.setSize(tileWidth, tileHeight, false);
+          camera.setViewOffset(figure.width, figure.height, x, y, tileWidth, tileHeight);
+          renderer.render(scene, camera);
+          context.drawImage(
+            renderer.domElement,
+            0, 0, tileWidth, tileHeight,
+            x, y, tileWidth, tileHeight
+          );
+        }
+      }
+    } finally {
+      camera.clearViewOffset();
+      renderer.setPixelRatio(pixelRatio);
+      renderer.setSize(size.x, size.y, false);
+      pointMaterials.forEach(([material, dotSize]) => {
+        material.uniforms.dotSize.value = dotSize;
+      });
+    }
+
+    this.getOverlays(figure, { scaleBar, legend }).forEach((overlay) =>
+      drawOverlay(context, overlay)
+    );
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))),
+        "image/png"
+      );
+    });
+  }
+
+  /**
+   * Write the current 2D view as an SVG: shown cell outlines and fills as paths,
+   * shown transcripts inside the view in their genes' glyphs
+   * @param {Object} options
+   * @param {number} options.width - Figure width in pixels
+   * @param {boolean} options.scaleBar - Draw a scale bar
+   * @param {boolean} options.legend - Draw a legend of the visible genes
+   * @returns {Blob}
+   */
+  renderSVG({ width, scaleBar, legend }) {
+    const figure = this.getFigureSize(width);
+    const view = this.getViewRect();
+    const scale = figure.width / view.width;
+    const toX = (x) => ((x - view.left) * scale).toFixed(2);
+    const toY = (y) => ((view.top - y) * scale).toFixed(2);
+
+    // Line widths and point sizes as they look on screen, relative to the figure
+    const pixelScale = figure.width / this.app.sceneManager.renderer.domElement.width;
+
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${figure.width}" height="${figure.height}" ` +
+        `viewBox="0 0 ${figure.width} ${figure.height}">\n`,
+      `<rect width="100%" height="100%" fill="#${this.app.sceneManager.getScene().background.getHexString()}"/>\n`,
+    ];
+
+    // Cells, fills and outlines in the colors of their vertices
+    const cellBoundaries = this.app.cellBoundaries;
+    const layers = [
+      ...Object.values(cellBoundaries?.boundaryLayers || {}),
+      ...Object.values(cellBoundaries?.nucleiLayers || {}),
+    ].filter((layer) => layer.jsonData && isShown(layer.group));
+
+    layers.forEach((layer) => {
+      const { lines, fills } = getCellStyles(layer);
+      const data = layer.jsonData;
+      parts.push(`<g class="${layer.type}" stroke-width="${Math.max(1, pixelScale).toFixed(2)}">\n`);
+
+      for (let index = 0; index < data.cellIds.length; index++) {
+        const { start, end } = getCellRange(data, index);
+        if (end - start < 2) continue;
+        const bounds = polygonBounds(data.points, start, end);
+        if (
+          bounds.maxX < view.left ||
+          bounds.minX > view.left + view.width ||
+          bounds.minY > view.top ||
+          bounds.maxY < view.top - view.height
+        ) {
+          continue;
+        }
+
+        const id = Math.fround(data.cellIds[index]);
+        const line = lines.get(id);
+        const fill = fills.get(id);
+        if (!(line?.opacity > 0) && !(fill?.opacity > 0)) continue;
+
+        let d = "";
+        for (let i = start; i < end; i++) {
+          d += `${i === start ? "M" : "L"}${toX(data.points[i * 2])} ${toY(data.points[i * 2 + 1])}`;
+        }
+        const fillAttributes = fill?.opacity > 0
+          ? `fill="${fill.color}" fill-opacity="${fill.opacity.toFixed(3)}"`
+          : `fill="none"`;
+        const strokeAttributes = line?.opacity > 0
+          ? `stroke="${line.color}" stroke-opacity="${line.opacity.toFixed(3)}"`
+          : `stroke="none"`;
+        parts.push(`<path d="${d}Z" ${fillAttributes} ${strokeAttributes}/>\n`);
+      }
+      parts.push("</g>\n");
+    });
+
+    // Transcripts of the visible genes in their shown layers
+    this.app.geneLoader.activeGenes.forEach((gene, geneName) => {
+      if (!gene.isVisible) return;
+      gene.getShownLayerKeys().forEach((key) => {
+        const mesh = gene.getLayer(key)?.pointsMesh;
+        if (!mesh || !isShown(mesh)) return;
+
+        const { uniforms } = mesh.material;
+        const radius = (uniforms.dotSize.value * POINT_SIZE_FACTOR * pixelScale) / 2;
+        const positions = mesh.geometry.getAttribute("position");
+        const alphas = mesh.geometry.getAttribute("alpha");
+        const matrix = mesh.matrixWorld.elements;
+
+        parts.push(
+          `<g class="gene" data-gene="${escapeXML(geneName)}" data-z="${key}" fill="${gene.color}" ` +
+            `fill-opacity="${uniforms.layerOpacity.value.toFixed(3)}">\n`
+        );
+        for (let i = 0; i < positions.count; i++) {
+          if (alphas && alphas.getX(i) === 0) continue;
+          const x = positions.getX(i) * matrix[0] + matrix[12];
+          const y = positions.getY(i) * matrix[5] + matrix[13];
+          if (
+            x < view.left ||
+            x > view.left + view.width ||
+            y > view.top ||
+            y < view.top - view.height
+          ) {
+            continue;
+          }
+          parts.push(
+            glyphToSVG(gene.shape, (x - view.left) * scale, (view.top - y) * scale, radius)
+          );
+        }
+        parts.push("</g>\n");
+      });
+    });
+
+    this.getOverlays(figure, { scaleBar, legend }).forEach((overlay) =>
+      parts.push(overlayToSVG(overlay))
+    );
+    parts.push("</svg>\n");
+
+    return new Blob(parts, { type: "image/svg+xml" });
+  }
+
+  /**
+   * Lay out the scale bar and gene legend of a figure
+   * @param {{width: number, height: number}} figure - Figure size in pixels
+   * @param {{scaleBar: boolean, legend: boolean}} options
+   * @returns {Array<Object>} Rectangles ({type: "rect", x, y, width, height, color})
+   *   and texts ({type: "text", x, y, text, size, color, anchor})
+   */
+  getOverlays(figure, { scaleBar, legend }) {
+    const overlays = [];
+    const margin = Math.round(figure.width / 40);
+    const fontSize = Math.max(12, Math.round(figure.width / 70));
+
+    // The length of a pixel is only uniform in the orthographic 2D view
+    if (scaleBar && store.get("viewMode") !== "3d") {
+      const viewWidth = this.getViewRect().width * config.dataPaths.getPixelSize();
+      const length = getNiceLength(viewWidth / 5);
+      const barWidth = (length / viewWidth) * figure.width;
+      const barHeight = Math.max(2, Math.round(fontSize / 4));
+      const x = figure.width - margin - barWidth;
+      const y = figure.height - margin - barHeight;
+      overlays.push(
+        { type: "rect", x, y, width: barWidth, height: barHeight, color: "#ffffff" },
+        {
+          type: "text",
+          x: x + barWidth / 2,
+          y: y - fontSize / 2,
+          text: formatLength(length, config.dataPaths.getLengthUnit()),
+          size: fontSize,
+          color: "#ffffff",
+          anchor: "middle",
+        }
+      );
+    }
+
+    if (legend) {
+      let y = margin;
+      this.app.geneLoader.activeGenes.forEach((gene, geneName) => {
+        if (!gene.isVisible) return;
+        overlays.push(
+          { type: "rect", x: margin, y, width: fontSize, height: fontSize, color: gene.color },
+          {
+            type: "text",
+            x: margin + fontSize * 1.5,
+            y: y + fontSize * 0.85,
+            text: geneName,
+            size: fontSize,
+            color: "#ffffff",
+            anchor: "start",
+          }
+        );
+        y += fontSize * 1.5;
+      });
+    }
+    return overlays;
+  }
+
+  /**
+   * Export the current view
+   * @param {Object} options
+   * @param {string} options.format - "png" or "svg"
+   * @param {number} options.width - Figure width in pixels
+   * @param {boolean} options.scaleBar
+   * @param {boolean} options.legend
+   */
+  async export({ format, width, scaleBar, legend }) {
+    if (this.exporting) return;
+
+    const figure = this.getFigureSize(width);
+    if (
+      !(figure.width > 0) ||
+      figure.width > MAX_FIGURE_SIZE ||
+      figure.height > MAX_FIGURE_SIZE
+    ) {
+      alert(`Figures can be at most ${MAX_FIGURE_SIZE} pixels wide and high.`);
+      return;
+    }
+    if (format === "svg" && store.get("viewMode") === "3d") {
+      alert("SVG figures are exported from the 2D view.");
+      return;
+    }
+
+    this.exporting = true;
+    try {
+      const blob =
+        format === "svg"
+          ? this.renderSVG({ width, scaleBar, legend })
+          : await this.renderPNG({ width, scaleBar, legend });
+      const name = [config.dataPaths.currentDataset, `z${store.get("zstack")}`]
+        .filter(Boolean)
+        .join("_")
+        .replace(/[^\w.-]+/g, "_");
+      downloadBlob(blob, `${name}.${format}`);
+    } catch (error) {
+      console.error("Error exporting figure:", error);
+      alert("Figure export failed, see the console for details.");
+    } finally {
+      this.exporting = false;
+    }
+  }
+
+  /**
+   * Bind the figure controls
+   */
+  initializePanel() {
+    const widthInput = document.getElementById("figure-width-input");
+    const sizeLabel = document.getElementById("figure-size");
+    const exportButton = document.getElementById("figure-export-btn");
+    if (!widthInput || !exportButton) return;
+
+    const updateSize = () => {
+      if (!sizeLabel || !this.app) return;
+      const { width, height } = this.getFigureSize(parseInt(widthInput.value, 10) || 0);
+      sizeLabel.textContent = `${width} × ${height} px`;
+    };
+    widthInput.addEventListener("input", updateSize);
+    window.addEventListener("resize", updateSize);
+    widthInput.addEventListener("focus", updateSize);
+    updateSize();
+
+    exportButton.addEventListener("click", async () => {
+      exportButton.disabled = true;
+      exportButton.textContent = "Rendering…";
+      await this.export({
+        format: document.getElementById("figure-format-select")?.value || "png",
+        width: parseInt(widthInput.value, 10),
+        scaleBar: document.getElementById("figure-scale-bar-checkbox")?.checked,
+        legend: document.getElementById("figure-legend-checkbox")?.checked,
+      });
+      exportButton.disabled = false;
+      exportButton.textContent = "Export Figure";
+    });
+  }
+}
+
+/**
+ * Check whether an object and all its ancestors are visible
+ * @param {THREE.Object3D} object
+ * @returns {boolean}
+ */
+function isShown(object) {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible) return false;
+  }
+  return true;
+}
+
+/**
+ * Read the per-cell outline and fill colors of a boundary layer from its vertex colors
+ * @param {BoundaryLayer} layer
+ * @returns {{lines: Map<number, Object>, fills: Map<number, Object>}} Float32 cell id to
+ *   { color: "#rrggbb", opacity }
+ */
+function getCellStyles(layer) {
+  const lines = new Map();
+  const fills = new Map();
+  const color = new THREE.Color();
+
+  layer.group.children.forEach((child) => {
+    if (!child.visible) return;
+    const isFill = child.isMesh;
+    const cellIds = child.geometry.getAttribute(isFill ? "clusterId" : "cellId");
+    const colors = child.geometry.getAttribute("color");
+    if (!cellIds || !colors) return;
+
+    const styles = isFill ? fills : lines;
+    for (let i = 0; i < cellIds.count; i++) {
+      const id = cellIds.getX(i);
+      if (styles.has(id)) continue;
+
+      // Vertex colors are linear, scaled by the material color
+      color.setRGB(colors.getX(i), colors.getY(i), colors.getZ(i)).multiply(child.material.color);
+      styles.set(id, {
+        color: `#${color.getHexString()}`,
+        opacity: colors.getW(i) * child.material.opacity,
+      });
+    }
+  });
+  return { lines, fills };
+}
+
+/**
+ * Draw an overlay on a canvas
+ * @param {CanvasRenderingContext2D} context
+ * @param {Object} overlay - See getOverlays()
+ */
+function drawOverlay(context, overlay) {
+  context.fillStyle = overlay.color;
+  if (overlay.type === "rect") {
+    context.fillRect(overlay.x, overlay.y, overlay.width, overlay.height);
+  } else {
+    context.font = `${overlay.size}px sans-serif`;
+    context.textAlign = overlay.anchor === "middle" ? "center" : "left";
+    context.fillText(overlay.text, overlay.x, overlay.y);
+  }
+}
+
+/**
+ * Write an overlay as an SVG element
+ * @param {Object} overlay - See getOverlays()
+ * @returns {string}
+ */
+function overlayToSVG(overlay) {
+  if (overlay.type === "rect") {
+    return (
+      `<rect x="${overlay.x.toFixed(2)}" y="${overlay.y.toFixed(2)}" width="${overlay.width.toFixed(2)}" ` +
+      `height="${overlay.height.toFixed(2)}" fill="${overlay.color}"/>\n`
+    );
+  }
+  return (
+    `<text x="${overlay.x.toFixed(2)}" y="${overlay.y.toFixed(2)}" font-family="sans-serif" ` +
+    `font-size="${overlay.size}" fill="${overlay.color}" text-anchor="${overlay.anchor}">` +
+    `${escapeXML(overlay.text)}</text>\n`
+  );
+}
+
+/**
+ * Write a transcript as an SVG element in the shape Layer's shader draws
+ * @param {string} shape - One of POINT_SHAPES, unknown shapes are drawn as circles
+ * @param {number} x - Center in figure pixels
+ * @param {number} y
+ * @param {number} radius - Half the point size in figure pixels
+ * @returns {string}
+ */
+function glyphToSVG(shape, x, y, radius) {
+  const f = (value) => value.toFixed(2);
+  switch (shape) {
+    case "square": {
+      const half = radius / 1.1;
+      return `<rect x="${f(x - half)}" y="${f(y - half)}" width="${f(2 * half)}" height="${f(2 * half)}"/>\n`;
+    }
+    case "triangle":
+      return (
+        `<path d="M${f(x)},${f(y - 0.75 * radius)}l${f(0.866 * radius)},${f(1.5 * radius)}` +
+        `h${f(-1.732 * radius)}Z"/>\n`
+      );
+    case "cross": {
+      const bar = radius / 3;
+      return (
+        `<path d="M${f(x - bar)},${f(y - radius)}h${f(2 * bar)}v${f(2 * radius)}h${f(-2 * bar)}Z` +
+        `M${f(x - radius)},${f(y - bar)}h${f(2 * radius)}v${f(2 * bar)}h${f(-2 * radius)}Z"/>\n`
+      );
+    }
+    case "diamond":
+      return (
+        `<path d="M${f(x)},${f(y - radius)}l${f(radius)},${f(radius)}l${f(-radius)},${f(radius)}` +
+        `l${f(-radius)},${f(-radius)}Z"/>\n`
+      );
+    case "ring": {
+      // Between 0.6 and 1 times the radius, the inner circle cut out by the even-odd rule
+      const inner = 0.6 * radius;
+      const circle = (r) =>
+        `M${f(x - r)},${f(y)}a${f(r)},${f(r)} 0 1,0 ${f(2 * r)},0a${f(r)},${f(r)} 0 1,0 ${f(-2 * r)},0Z`;
+      return `<path fill-rule="evenodd" d="${circle(radius)}${circle(inner)}"/>\n`;
+    }
+    default:
+      return `<circle cx="${f(x)}" cy="${f(y)}" r="${f(radius)}"/>\n`;
+  }
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Download a blob as a file
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Create a singleton instance
+export const figureExporter = new FigureExporter();
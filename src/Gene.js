@@ -1,5 +1,6 @@
 import { Layer } from './Layer';
 import { store } from './store';
+import { config } from './config';
 
 /**
  * Gene class for managing individual gene data and its layers
@@ -16,54 +17,197 @@ export class Gene {
         this.layers = new Map();
         this.color = '#ffffff';
         this.scale = 1.0;
+        this.shape = 'circle';
         this.isVisible = true;
         this.currentVisibleLayer = null;
+        
+        // Layer requested by setVisibleLayer(), shown as soon as it is loaded
+        this.targetLayer = null;
+        
+        // Z-range shown in projection mode ({ min, max, style }), null for a single layer
+        this.visibleRange = null;
+        
+        // Keys of the layers currently shown
+        this.shownLayers = new Set();
+        
+        // Distance between layers in the 3D view, null for the flat 2D view
+        this.zStep = null;
+        
+        // Keys of all layers the gene has points in, loaded or not
+        this.layerKeys = new Set();
+        
+        // On-demand layer loading, see setLayerSource()
+        this.fetchLayer = null;
+        this.pendingLayers = new Map();
+        this.retainRange = Infinity;
+        this.disposed = false;
     }
     
     /**
      * Load and process gene data
-     * @param {Object} data - Gene data object with layers containing coordinates
+     * @param {Object} data - Gene data object with layers of flat x,y coordinates,
+     *   either JSON arrays or Float32Arrays decoded from the binary format
      */
     async loadData(data) {
         // Process each layer in the data
         const dataLayers = data["layers"];
         Object.entries(dataLayers).forEach(([layer, coordinates]) => {
-            // Convert flat array to point objects
-            const points = [];
-            for (let i = 0; i < coordinates.length; i += 2) {
-                points.push({
-                    x: coordinates[i],
-                    y: coordinates[i + 1]
-                });
-            }
-            this.addLayer(layer, points);
+            this.addLayer(
+                layer,
+                coordinates instanceof Float32Array ? coordinates : Float32Array.from(coordinates)
+            );
         });
         
+        this.applyStoreSettings();
+    }
+    
+    /**
+     * Load layers on demand instead of all at once
+     * @param {Array<string>} layerKeys - Keys of all layers the gene has points in
+     * @param {function(string): Promise<Float32Array>} fetchLayer - Fetches the coordinates of one layer
+     */
+    setLayerSource(layerKeys, fetchLayer) {
+        this.layerKeys = new Set(layerKeys);
+        this.fetchLayer = fetchLayer;
+        this.applyStoreSettings();
+    }
+    
+    /**
+     * Check whether layers are loaded on demand
+     * @returns {boolean}
+     */
+    hasLayerSource() {
+        return this.fetchLayer !== null;
+    }
+    
+    /**
+     * Load the current layer and its neighbours, releasing layers far from it
+     * @param {string} currentLayer - Z-stack identifier of the current layer
+     * @param {number} prefetchRange - Number of layers to load above and below the current one
+     * @param {number} retainRange - Loaded layers farther than this from the current one are released
+     * @returns {Promise} Resolves when all layers in range are loaded
+     */
+    async loadLayersAround(currentLayer, prefetchRange = 1, retainRange = prefetchRange) {
+        if (!this.fetchLayer) return;
+        
+        this.retainRange = Math.max(retainRange, prefetchRange);
+        this.releaseDistantLayers(currentLayer);
+        
+        // Nearest layers first, starting with the current one
+        const current = parseInt(currentLayer);
+        const layers = this.getAdjacentLayers(currentLayer, prefetchRange)
+            .sort((a, b) => Math.abs(parseInt(a) - current) - Math.abs(parseInt(b) - current));
+        
+        await Promise.all(layers.map(layer => this.loadLayer(layer)));
+    }
+    
+    /**
+     * Load a single layer, sharing the request if it is already in flight
+     * @param {string} layer - Z-stack identifier
+     * @returns {Promise}
+     */
+    loadLayer(layer) {
+        if (this.layers.has(layer)) return Promise.resolve();
+        if (this.pendingLayers.has(layer)) return this.pendingLayers.get(layer);
+        
+        const promise = this.fetchLayer(layer)
+            .then(coordinates => {
+                // Drop layers the view moved away from while they were loading
+                if (this.disposed || !this.isWithinRetainRange(layer)) return;
+                
+                this.addLayer(layer, coordinates);
+                if (this.isLayerInView(layer)) {
+                    this.updateShownLayers();
+                }
+            })
+            .finally(() => this.pendingLayers.delete(layer));
+        
+        this.pendingLayers.set(layer, promise);
+        return promise;
+    }
+    
+    /**
+     * Dispose loaded layers outside the retain range around a layer
+     * @private
+     * @param {string} currentLayer - Z-stack identifier
+     */
+    releaseDistantLayers(currentLayer) {
+        const current = parseInt(currentLayer);
+        this.getLayerKeys().forEach(layer => {
+            if (Math.abs(parseInt(layer) - current) > this.retainRange) {
+                this.removeLayer(layer);
+            }
+        });
+    }
+    
+    /**
+     * Check whether a layer is close enough to the requested layer to keep
+     * @private
+     * @param {string} layer - Z-stack identifier
+     * @returns {boolean}
+     */
+    isWithinRetainRange(layer) {
+        if (this.targetLayer === null) return true;
+        return Math.abs(parseInt(layer) - parseInt(this.targetLayer)) <= this.retainRange;
+    }
+    
+    /**
+     * Apply the color and scale stored for this gene
+     * @private
+     */
+    applyStoreSettings() {
         // Set initial color from store if available
         const geneColors = store.get('geneColors');
         if (geneColors && geneColors[this.name]) {
             this.setColor(geneColors[this.name]);
         }
         
-        // Set initial scale from customizations if available
+        // Set initial scale and shape from customizations if available
         const customizations = store.get('geneCustomizations');
         if (customizations && customizations[this.name]?.scale) {
             this.setScale(customizations[this.name].scale);
         }
+        if (customizations && customizations[this.name]?.shape) {
+            this.setShape(customizations[this.name].shape);
+        }
     }
     
     /**
      * Add a new layer
      * @param {string} zStack - Z-stack identifier
-     * @param {Array} points - Point data for the layer
+     * @param {Float32Array} coordinates - Interleaved x,y coordinates for the layer
      */
-    addLayer(zStack, points) {
-        const layer = new Layer(zStack, points, this.scene);
+    addLayer(zStack, coordinates) {
+        const layer = new Layer(zStack, coordinates, this.scene);
         this.layers.set(zStack, layer);
+        this.layerKeys.add(zStack);
         
-        // Apply current color and scale
+        // Apply current color, scale, shape and transforms
         layer.updateColor(this.color);
         layer.updatePointSize(this.scale * store.get('pointSize'));
+        layer.setShape(this.shape);
+        
+        const flipX = store.get('geneFlipX') || false;
+        const flipY = store.get('geneFlipY') || false;
+        const swapXY = store.get('geneSwapXY') || false;
+        if (flipX || flipY || swapXY) {
+            layer.updateTransforms(flipX, flipY, swapXY);
+        }
+        
+        if (this.zStep !== null) {
+            layer.setDepth(parseInt(zStack) * this.zStep);
+        }
+    }
+    
+    /**
+     * Place the layers at their depth for the 3D view, or back in the 2D plane
+     * @param {number|null} zStep - Distance between layers, null for the 2D view
+     */
+    setZStep(zStep) {
+        this.zStep = zStep;
+        this.layers.forEach((layer, key) => {
+            layer.setDepth(zStep === null ? 1 : parseInt(key) * zStep);
+        });
     }
     
     /**
@@ -75,6 +219,7 @@ export class Gene {
         if (layer) {
             layer.dispose();
             this.layers.delete(zStack);
+            this.shownLayers.delete(zStack);
             if (this.currentVisibleLayer === zStack) {
                 this.currentVisibleLayer = null;
             }
@@ -95,19 +240,77 @@ export class Gene {
      * @param {string|null} layer - Z-stack identifier or null to hide all
      */
     setVisibleLayer(layer) {
-        // Hide current visible layer if exists
-        if (this.currentVisibleLayer && this.layers.has(this.currentVisibleLayer)) {
-            this.layers.get(this.currentVisibleLayer).setVisible(false);
+        this.targetLayer = layer;
+        this.visibleRange = null;
+        this.updateShownLayers();
+    }
+    
+    /**
+     * Show all layers in a z-range at once (projection mode)
+     * @param {{min: number, max: number}} range - Layer range, inclusive
+     * @param {string} center - Z-stack identifier of the center layer
+     * @param {string} style - 'max' keeps the brightest transcript per pixel, 'depth' fades layers
+     *   away from the center, 'overlay' draws every layer fully on top of each other
+     */
+    setVisibleRange(range, center, style = 'depth') {
+        this.targetLayer = center;
+        this.visibleRange = { min: range.min, max: range.max, style };
+        this.updateShownLayers();
+    }
+    
+    /**
+     * Check whether a layer is part of the current view
+     * @private
+     * @param {string} layer - Z-stack identifier
+     * @returns {boolean}
+     */
+    isLayerInView(layer) {
+        if (!this.visibleRange) {
+            return layer === this.targetLayer;
         }
+        const z = parseInt(layer);
+        return z >= this.visibleRange.min && z <= this.visibleRange.max;
+    }
+    
+    /**
+     * Get the opacity of a layer in the current view
+     * @private
+     * @param {string} layer - Z-stack identifier
+     * @returns {number}
+     */
+    getLayerOpacity(layer) {
+        if (!this.visibleRange || this.visibleRange.style !== 'depth') return 1.0;
         
-        // Show new layer if specified and exists
-        if (layer && this.layers.has(layer)) {
-            const newLayer = this.layers.get(layer);
-            newLayer.setVisible(this.isVisible);
-            this.currentVisibleLayer = layer;
-        } else {
-            this.currentVisibleLayer = null;
-        }
+        const center = parseInt(this.targetLayer);
+        const { min, max } = this.visibleRange;
+        const halfWidth = Math.max(center - min, max - center, 1);
+        const distance = Math.abs(parseInt(layer) - center) / halfWidth;
+        const minOpacity = config.visualization.projectionMinOpacity;
+        return 1.0 - Math.min(1, distance) * (1.0 - minOpacity);
+    }
+    
+    /**
+     * Show the loaded layers in view and hide all others
+     * @private
+     */
+    updateShownLayers() {
+        this.shownLayers.forEach(key => {
+            if (!this.isLayerInView(key) && this.layers.has(key)) {
+                this.layers.get(key).setVisible(false);
+            }
+        });
+        this.shownLayers.clear();
+        
+        this.layers.forEach((layer, key) => {
+            if (this.isLayerInView(key)) {
+                layer.setLayerOpacity(this.getLayerOpacity(key));
+                layer.setMaxBlending(!!this.visibleRange && this.visibleRange.style === 'max');
+                layer.setVisible(this.isVisible);
+                this.shownLayers.add(key);
+            }
+        });
+        
+        this.currentVisibleLayer = this.layers.has(this.targetLayer) ? this.targetLayer : null;
     }
     
     /**
@@ -116,9 +319,7 @@ export class Gene {
      */
     setVisible(visible) {
         this.isVisible = visible;
-        if (this.currentVisibleLayer) {
-            this.layers.get(this.currentVisibleLayer).setVisible(visible);
-        }
+        this.shownLayers.forEach(key => this.layers.get(key).setVisible(visible));
     }
     
     /**
@@ -143,6 +344,15 @@ export class Gene {
         this.layers.forEach(layer => layer.updatePointSize(scale * globalSize));
     }
     
+    /**
+     * Set the glyph the gene's points are drawn with
+     * @param {string} shape - One of POINT_SHAPES
+     */
+    setShape(shape) {
+        this.shape = shape;
+        this.layers.forEach(layer => layer.setShape(shape));
+    }
+    
     /**
      * Update transforms for all layers
      * @param {boolean} flipX
@@ -153,6 +363,14 @@ export class Gene {
         this.layers.forEach(layer => layer.updateTransforms(flipX, flipY, swapXY));
     }
     
+    /**
+     * Get the keys of the layers currently shown
+     * @returns {Array<string>}
+     */
+    getShownLayerKeys() {
+        return Array.from(this.shownLayers);
+    }
+    
     /**
      * Get all layer keys
      * @returns {Array<string>}
@@ -240,7 +458,7 @@ export class Gene {
     }
     
     /**
-     * Get adjacent layer keys
+     * Get adjacent layer keys, including layers that are not loaded yet
      * @param {string} currentLayer
      * @param {number} range
      * @returns {Array<string>}
@@ -250,7 +468,7 @@ export class Gene {
         const adjacentLayers = [];
         for (let i = -range; i <= range; i++) {
             const targetLayer = (layerNum + i).toString();
-            if (this.layers.has(targetLayer)) {
+            if (this.layerKeys.has(targetLayer)) {
                 adjacentLayers.push(targetLayer);
             }
         }
@@ -263,6 +481,10 @@ export class Gene {
     dispose() {
         this.layers.forEach(layer => layer.dispose());
         this.layers.clear();
+        this.pendingLayers.clear();
+        this.shownLayers.clear();
         this.currentVisibleLayer = null;
+        this.targetLayer = null;
+        this.disposed = true;
     }
 }
@@ -0,0 +1,100 @@
+/**
+ * Decoder for the binary gene point format (MFGB)
+ *
+ * Layout (little-endian):
+ *   0  magic 'MFGB'
+ *   4  version (uint8)
+ *   5  encoding (uint8): 0 = float32, 1 = uint16 quantized to the bounds
+ *   6  reserved (uint16)
+ *   8  layer count (uint32)
+ *   12 bounds minX, minY, maxX, maxY (4 x float32)
+ *   28 reserved (uint32)
+ *   32 layer table, one entry per layer: z (int32), point count (uint32), byte offset (uint32)
+ *   .. layer data, interleaved x,y per point, each layer aligned to 4 bytes
+ *
+ * The server encoder in server/server.js and process_gene_data.py write the same layout.
+ */
+
+export const GENE_BINARY_MAGIC = 'MFGB';
+export const GENE_BINARY_VERSION = 1;
+export const GENE_ENCODING_FLOAT32 = 0;
+export const GENE_ENCODING_UINT16 = 1;
+
+const HEADER_SIZE = 32;
+const LAYER_ENTRY_SIZE = 12;
+const UINT16_MAX = 65535;
+
+/**
+ * Check whether a buffer starts with the binary gene magic bytes
+ * @param {ArrayBuffer} buffer
+ * @returns {boolean}
+ */
+export function isGeneBinary(buffer) {
+    if (buffer.byteLength < HEADER_SIZE) return false;
+    const bytes = new Uint8Array(buffer, 0, 4);
+    return String.fromCharCode(...bytes) === GENE_BINARY_MAGIC;
+}
+
+/**
+ * Decode a binary gene file
+ * Float32 layers are returned as views on the buffer, quantized layers are expanded in one pass.
+ * @param {ArrayBuffer} buffer
+ * @returns {{bounds: {minX: number, minY: number, maxX: number, maxY: number}, layers: Object<string, Float32Array>}}
+ *   Same shape as the JSON format, with interleaved x,y coordinates per layer
+ */
+export function decodeGeneBinary(buffer) {
+    if (!isGeneBinary(buffer)) {
+        throw new Error('Not a binary gene file');
+    }
+
+    const view = new DataView(buffer);
+    const version = view.getUint8(4);
+    if (version !== GENE_BINARY_VERSION) {
+        throw new Error(`Unsupported binary gene version: ${version}`);
+    }
+
+    const encoding = view.getUint8(5);
+    const layerCount = view.getUint32(8, true);
+    const bounds = {
+        minX: view.getFloat32(12, true),
+        minY: view.getFloat32(16, true),
+        maxX: view.getFloat32(20, true),
+        maxY: view.getFloat32(24, true)
+    };
+
+    const layers = {};
+    for (let i = 0; i < layerCount; i++) {
+        const entry = HEADER_SIZE + i * LAYER_ENTRY_SIZE;
+        const z = view.getInt32(entry, true);
+        const count = view.getUint32(entry + 4, true);
+        const offset = view.getUint32(entry + 8, true);
+
+        if (encoding === GENE_ENCODING_FLOAT32) {
+            layers[z.toString()] = new Float32Array(buffer, offset, count * 2);
+        } else if (encoding === GENE_ENCODING_UINT16) {
+            layers[z.toString()] = dequantize(new Uint16Array(buffer, offset, count * 2), bounds);
+        } else {
+            throw new Error(`Unknown binary gene encoding: ${encoding}`);
+        }
+    }
+
+    return { bounds, layers };
+}
+
+/**
+ * Expand uint16 quantized coordinates back to data coordinates
+ * @param {Uint16Array} quantized - Interleaved x,y values
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds
+ * @returns {Float32Array}
+ */
+function dequantize(quantized, bounds) {
+    const scaleX = (bounds.maxX - bounds.minX) / UINT16_MAX;
+    const scaleY = (bounds.maxY - bounds.minY) / UINT16_MAX;
+    const coordinates = new Float32Array(quantized.length);
+
+    for (let i = 0; i < quantized.length; i += 2) {
+        coordinates[i] = bounds.minX + quantized[i] * scaleX;
+        coordinates[i + 1] = bounds.minY + quantized[i + 1] * scaleY;
+    }
+    return coordinates;
+}
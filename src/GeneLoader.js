@@ -1,10 +1,11 @@
 import * as THREE from 'three';
 import { Gene } from './Gene';
 import { store } from './store';
-import { updateDataBounds } from './utils';
+import { updateDataBounds, centerZRange, getZRangeCenter } from './utils';
 import {config} from './config';
-import pako from 'pako';
-import { loadingIndicator } from './LoadingIndicator.js';
+import { workerPool } from './WorkerPool.js';
+import { cellAssignment } from './CellAssignment.js';
+import { EXTRACELLULAR } from './spatialIndex.js';
 
 /**
  * GeneLoader class for managing gene data visualization
@@ -17,6 +18,12 @@ export class GeneLoader {
     constructor(scene) {
         this.scene = scene;
         this.activeGenes = new Map();
+        this.pendingGenes = new Set();
+        // Incremented whenever all genes are cleared, so in-flight loads can be discarded
+        this.loadGeneration = 0;
+        // Incremented when the transcript cluster filter changes, layers remember the version they were filtered with
+        this.clusterFilterVersion = 0;
+        this.filteredLayers = new WeakMap();
         this.initializeSubscriptions();
     }
     
@@ -56,6 +63,18 @@ export class GeneLoader {
             this.handleGeneVisibilityChange(visibleGenes);
         });
         
+        // Projection mode changes
+        store.subscribe('projectionMode', () => this.handleProjectionChange());
+        store.subscribe('projectionRange', () => this.handleProjectionChange());
+        store.subscribe('projectionStyle', () => this.handleProjectionChange());
+        
+        // 2D / 3D view changes
+        store.subscribe('viewMode', () => this.handleViewModeChange());
+        
+        // Transcripts shown only inside cells of some clusters
+        store.subscribe('transcriptClusterFilter', () => this.handleClusterFilterChange());
+        store.subscribe('clusters', () => this.handleClusterFilterChange());
+        
         // Transform changes
         store.subscribe('geneFlipX', (flipX) => this.updateTransforms());
         store.subscribe('geneFlipY', (flipY) => this.updateTransforms());
@@ -67,37 +86,196 @@ export class GeneLoader {
      * @param {string} geneName
      */
     async loadGene(geneName) {
+        if (this.pendingGenes.has(geneName)) return;
+        this.pendingGenes.add(geneName);
+        const generation = this.loadGeneration;
+
         try {
             // Create new gene instance
             const gene = new Gene(geneName, this.scene);
             
-            // Fetch gene data with progress tracking
-            const geneDataPath = config.dataPaths.getGeneDataPath(geneName);
-            const response = await loadingIndicator.fetchWithProgress(
-                geneDataPath, 
-                {}, 
-                `Loading Gene: ${geneName}`
-            );
-            const data = await response.json();
+            // Load layers on demand when the server can serve them one by one
+            const layerKeys = await this.fetchGeneLayerIndex(geneName);
+            if (layerKeys) {
+                gene.setLayerSource(layerKeys, layer => this.fetchGeneLayer(geneName, layer));
+            } else {
+                // Fetch gene data with progress tracking
+                const data = await this.fetchGeneData(geneName);
+                
+                // Load data into gene
+                await gene.loadData(data);
+            }
             
-            // Load data into gene
-            await gene.loadData(data);
+            // Discard the gene if genes were cleared (e.g. dataset switch) or it was deselected meanwhile
+            const selectedGenes = store.get('selectedGenes') || {};
+            if (generation !== this.loadGeneration || !selectedGenes[geneName]) {
+                gene.dispose();
+                return;
+            }
             
             // Add to active genes
             this.activeGenes.set(geneName, gene);
             
-            // Set initial visibility based on current z-stack
+            // Respect a visibility toggle made before the gene was (re)loaded
+            const visibleGenes = store.get('visibleGenes') || {};
+            if (visibleGenes[geneName] === false) {
+                gene.setVisible(false);
+            }
+            
+            // Set initial depth and visibility based on the view mode and current z-stack
             const currentZStack = store.get('zstack').toString();
-            gene.setVisibleLayer(currentZStack);
+            gene.setZStep(this.getZStep());
+            this.applyLayerView(gene, currentZStack);
+            
+            if (gene.hasLayerSource()) {
+                await this.loadGeneLayers(gene, currentZStack);
+            }
+            this.applyClusterFilter();
             
             // Update bounds
             // this.updateDataBounds();
             
         } catch (error) {
             console.error(`Error loading gene ${geneName}:`, error);
+        } finally {
+            if (generation === this.loadGeneration) {
+                this.pendingGenes.delete(geneName);
+            }
+        }
+    }
+    
+    /**
+     * Fetch and decode gene data in the worker pool, preferring the binary format and falling back to JSON
+     * @param {string} geneName
+     * @returns {Promise<Object>} Gene data with layers of interleaved x,y Float32Arrays
+     */
+    fetchGeneData(geneName) {
+        const paths = [config.dataPaths.getGeneDataPath(geneName)];
+        if (config.dataPaths.useBinaryGenes) {
+            paths.unshift(config.dataPaths.getGeneBinaryPath(geneName));
+        }
+        
+        return workerPool.run(
+            'loadGene',
+            { urls: paths.map(path => workerPool.resolveUrl(path)) },
+            `Loading Gene: ${geneName}`
+        );
+    }
+    
+    /**
+     * Fetch the list of layers a gene has points in
+     * @param {string} geneName
+     * @returns {Promise<Array<string>|null>} Layer keys, or null if layers can't be loaded separately
+     */
+    async fetchGeneLayerIndex(geneName) {
+        const indexPath = config.dataPaths.lazyGeneLayers
+            ? config.dataPaths.getGeneLayerIndexPath(geneName)
+            : null;
+        if (!indexPath) return null;
+        
+        try {
+            const response = await fetch(indexPath);
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            const index = await response.json();
+            return index.layers
+                .filter(layer => layer.count > 0)
+                .map(layer => layer.z.toString());
+        } catch (error) {
+            console.warn(`Layer index for gene ${geneName} unavailable, loading all layers:`, error);
+            return null;
         }
     }
     
+    /**
+     * Fetch and decode a single layer of a gene in the worker pool
+     * @param {string} geneName
+     * @param {string} layer - Z-stack identifier
+     * @returns {Promise<Float32Array>} Interleaved x,y coordinates
+     */
+    async fetchGeneLayer(geneName, layer) {
+        const data = await workerPool.run(
+            'loadGene',
+            { urls: [workerPool.resolveUrl(config.dataPaths.getGeneLayerPath(geneName, layer))] },
+            `Loading Gene: ${geneName} (Z=${layer})`
+        );
+        return data.layers[layer] || new Float32Array(0);
+    }
+    
+    /**
+     * Load the layers of an on-demand gene around a z-stack
+     * @private
+     * @param {Gene} gene
+     * @param {string} zStack
+     * @returns {Promise}
+     */
+    loadGeneLayers(gene, zStack) {
+        const { genePrefetchRange, geneRetainRange } = config.dataPaths;
+        
+        // The whole range in view has to be loaded, plus the usual prefetch window around it
+        const range = this.getViewRange(zStack);
+        const center = range ? getZRangeCenter(range).toString() : zStack;
+        const halfWidth = range ? Math.ceil((range.max - range.min) / 2) : 0;
+        
+        return gene.loadLayersAround(
+            center,
+            genePrefetchRange + halfWidth,
+            geneRetainRange + halfWidth
+        );
+    }
+    
+    /**
+     * Get the z-range shown in projection mode, centered on a z-stack
+     * @private
+     * @param {string} zStack
+     * @returns {{min: number, max: number}|null} Null when projection mode is off
+     */
+    getProjectionRange(zStack) {
+        const range = store.get('projectionRange');
+        if (!store.get('projectionMode') || !range) return null;
+        return centerZRange(range, parseInt(zStack));
+    }
+    
+    /**
+     * Get the z-range shown for a z-stack: the projection range, or all layers in the 3D view
+     * @private
+     * @param {string} zStack
+     * @returns {{min: number, max: number}|null} Null when a single layer is shown
+     */
+    getViewRange(zStack) {
+        const range = this.getProjectionRange(zStack);
+        if (range || store.get('viewMode') !== '3d') return range;
+        return { min: config.dataPaths.getMinLayer(), max: config.dataPaths.getMaxLayer() };
+    }
+    
+    /**
+     * Get the distance between layers for the current view mode
+     * @private
+     * @returns {number|null} Null in the 2D view
+     */
+    getZStep() {
+        return store.get('viewMode') === '3d' ? config.dataPaths.getZStep() : null;
+    }
+    
+    /**
+     * Show a gene's layers for a z-stack, either the single layer or the range around it
+     * @private
+     * @param {Gene} gene
+     * @param {string} zStack
+     */
+    applyLayerView(gene, zStack) {
+        const range = this.getViewRange(zStack);
+        if (!range) {
+            gene.setVisibleLayer(zStack);
+            return;
+        }
+        
+        // Layers are already told apart by their depth in 3D, so they are not faded there
+        const style = store.get('viewMode') === '3d' ? 'overlay' : store.get('projectionStyle');
+        gene.setVisibleRange(range, getZRangeCenter(range).toString(), style);
+    }
+    
     /**
      * Remove gene
      * @param {string} geneName
@@ -118,6 +296,8 @@ export class GeneLoader {
      * Clear all genes
      */
     clearAllGenes() {
+        this.loadGeneration++;
+        this.pendingGenes.clear();
         this.activeGenes.forEach(gene => gene.dispose());
         this.activeGenes.clear();
         // this.updateDataBounds();
@@ -129,10 +309,121 @@ export class GeneLoader {
      * @param {string} newZStack
      */
     handleZStackChange(newZStack) {
+        this.updateLayerViews(newZStack);
+        // this.updateDataBounds();
+    }
+    
+    /**
+     * Handle projection mode, range or style changes
+     * @private
+     */
+    handleProjectionChange() {
+        // The z-stack follows the center of the range, use it before the z-stack update arrives
+        const range = store.get('projectionRange');
+        const zStack = (store.get('projectionMode') && range
+            ? getZRangeCenter(range)
+            : store.get('zstack')
+        ).toString();
+        
+        this.updateLayerViews(zStack);
+    }
+    
+    /**
+     * Handle switching between the 2D and 3D views
+     * @private
+     */
+    handleViewModeChange() {
+        const zStep = this.getZStep();
+        this.activeGenes.forEach(gene => gene.setZStep(zStep));
+        this.updateLayerViews(store.get('zstack').toString());
+    }
+    
+    /**
+     * Show the layers of all genes for a z-stack, loading on-demand layers as needed
+     * @private
+     * @param {string} zStack
+     */
+    updateLayerViews(zStack) {
         this.activeGenes.forEach(gene => {
-            gene.setVisibleLayer(newZStack);
+            this.applyLayerView(gene, zStack);
+            if (gene.hasLayerSource()) {
+                this.loadGeneLayers(gene, zStack)
+                    .then(() => this.applyClusterFilter())
+                    .catch(error => {
+                        console.error(`Error loading layers of gene ${gene.getName()}:`, error);
+                    });
+            }
         });
-        // this.updateDataBounds();
+        this.applyClusterFilter();
+    }
+    
+    /**
+     * Handle changes to the transcript cluster filter or the clusters themselves
+     * @private
+     */
+    handleClusterFilterChange() {
+        this.clusterFilterVersion++;
+        this.applyClusterFilter();
+    }
+    
+    /**
+     * Hide the transcripts outside cells of the clusters in transcriptClusterFilter.
+     * Only shown layers are filtered, the others once they come into view.
+     * @private
+     */
+    async applyClusterFilter() {
+        const version = this.clusterFilterVersion;
+        const filter = store.get('transcriptClusterFilter') || [];
+        
+        // Shown layers not filtered with the current filter yet, grouped by z-stack
+        const genesByLayer = new Map();
+        this.activeGenes.forEach((gene, geneName) => {
+            gene.getShownLayerKeys().forEach(key => {
+                const layer = gene.getLayer(key);
+                if (this.filteredLayers.get(layer) === version) return;
+                this.filteredLayers.set(layer, version);
+                
+                if (filter.length === 0) {
+                    layer.setPointAlphas(null);
+                    return;
+                }
+                if (!genesByLayer.has(key)) genesByLayer.set(key, []);
+                genesByLayer.get(key).push([geneName, layer]);
+            });
+        });
+        if (genesByLayer.size === 0) return;
+        
+        const selectedClusters = new Set(filter);
+        const clusters = store.get('clusters') || {};
+        
+        await Promise.all(Array.from(genesByLayer, async ([key, entries]) => {
+            try {
+                const { cellIds, genes } = await cellAssignment.assignLayer(
+                    key,
+                    entries.map(([geneName]) => geneName)
+                );
+                if (version !== this.clusterFilterVersion) return;
+                
+                // Whether each cell belongs to a selected cluster
+                const shownCells = new Uint8Array(cellIds.length);
+                cellIds.forEach((cellId, i) => {
+                    shownCells[i] = selectedClusters.has(clusters[cellId.toString()]) ? 1 : 0;
+                });
+                
+                entries.forEach(([geneName, layer]) => {
+                    const { cellIndices } = genes[geneName];
+                    const alphas = new Float32Array(cellIndices.length);
+                    cellIndices.forEach((cell, i) => {
+                        alphas[i] = cell !== EXTRACELLULAR && shownCells[cell] ? 1.0 : 0.0;
+                    });
+                    layer.setPointAlphas(alphas);
+                });
+            } catch (error) {
+                console.error(`Error filtering transcripts of layer ${key} by cluster:`, error);
+                // Try again on the next view update
+                entries.forEach(([, layer]) => this.filteredLayers.delete(layer));
+            }
+        }));
     }
     
     /**
@@ -174,6 +465,9 @@ export class GeneLoader {
             if (gene && settings.scale !== undefined) {
                 gene.setScale(settings.scale);
             }
+            if (gene && settings.shape !== undefined) {
+                gene.setShape(settings.shape);
+            }
         });
     }
     
@@ -273,6 +567,30 @@ export class GeneLoader {
         return total;
     }
     
+    /**
+     * Check whether the visible genes have loaded a layer
+     * @param {string} zStack
+     * @returns {boolean} True when every visible gene with points in the layer has it loaded
+     */
+    isLayerReady(zStack) {
+        return Array.from(this.activeGenes.values()).every(gene =>
+            !gene.isVisible || !gene.layerKeys.has(zStack) || gene.getLayer(zStack) !== null
+        );
+    }
+    
+    /**
+     * Start loading a layer of the visible on-demand genes, e.g. one about to be shown
+     * @param {string} zStack
+     */
+    preloadLayer(zStack) {
+        this.activeGenes.forEach(gene => {
+            if (!gene.hasLayerSource() || !gene.isVisible || !gene.layerKeys.has(zStack)) return;
+            gene.loadLayer(zStack).catch(error => {
+                console.error(`Error loading layer ${zStack} of gene ${gene.getName()}:`, error);
+            });
+        });
+    }
+    
     /**
      * Get active gene names
      * @returns {Array<string>}
@@ -50,6 +50,9 @@ export class GeneUIManager {
     scaleSlider.value = currentScale;
     scaleValue.textContent = currentScale.toFixed(1);
 
+    // Highlight the current shape in the glyph palette
+    this.selectShape(geneCustomizations[gene]?.shape || "circle");
+
     // Position the tooltip near the clicked element
     const geneItem = document.querySelector(
       `.active-gene-item[data-gene="${gene}"]`
@@ -95,13 +98,17 @@ export class GeneUIManager {
 
     const colorPicker = document.getElementById("gene-color-picker");
     const scaleSlider = document.getElementById("gene-scale-slider");
+    const selectedShape = document.querySelector(
+      "#gene-shape-palette button.selected"
+    );
 
-    // Get the new color and scale
+    // Get the new color, scale and shape
     const newColor = colorPicker.value;
     const newScale = parseFloat(scaleSlider.value);
+    const newShape = selectedShape ? selectedShape.dataset.shape : "circle";
 
     console.log(
-      `Applying customization for gene ${this.currentCustomizeGene}: color=${newColor}, scale=${newScale}`
+      `Applying customization for gene ${this.currentCustomizeGene}: color=${newColor}, scale=${newScale}, shape=${newShape}`
     );
 
     // Update the store
@@ -116,6 +123,7 @@ export class GeneUIManager {
       ...geneCustomizations[this.currentCustomizeGene],
       color: newColor,
       scale: newScale,
+      shape: newShape,
     };
 
     // Update the color indicator in the active genes list
@@ -177,10 +185,25 @@ export class GeneUIManager {
     scaleSlider.value = 1.0;
     // scaleValue.textContent = "1.0";
 
+    // Reset the shape
+    this.selectShape("circle");
+
     // Apply the changes
     this.applyGeneCustomization();
   }
 
+  /**
+   * Marks a shape as selected in the glyph palette
+   * @param {string} shape - Shape name, see POINT_SHAPES in Layer.js
+   */
+  selectShape(shape) {
+    document
+      .querySelectorAll("#gene-shape-palette button")
+      .forEach((button) =>
+        button.classList.toggle("selected", button.dataset.shape === shape)
+      );
+  }
+
   /**
    * Initializes event listeners for the gene customization tooltip
    */
@@ -223,6 +246,17 @@ export class GeneUIManager {
       });
     }
 
+    // Glyph palette, applied instantly like the color and size
+    const shapePalette = document.getElementById("gene-shape-palette");
+    if (shapePalette) {
+      shapePalette.addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-shape]");
+        if (!button) return;
+        this.selectShape(button.dataset.shape);
+        this.applyGeneCustomization(false);
+      });
+    }
+
     // Close tooltip when clicking outside of it
     document.addEventListener("click", (e) => {
       if (
@@ -266,7 +300,7 @@ export class GeneUIManager {
     checkbox.id = `active-gene-${gene}`; // Use a different ID prefix to avoid conflicts
     checkbox.value = gene;
     checkbox.className = "gene-checkbox";
-    checkbox.checked = true;
+    checkbox.checked = (store.get("visibleGenes") || {})[gene] !== false;
 
     // Add event listener to toggle gene visibility and update gene selector checkbox
     checkbox.addEventListener("change", (e) => {
@@ -451,6 +485,58 @@ export class GeneUIManager {
     });
   }
 
+  /**
+   * Updates the gene selector and active genes list to match the store,
+   * e.g. after the selection was restored from a link
+   */
+  syncWithStore() {
+    const selectedGenes = store.get("selectedGenes") || {};
+    const geneColors = store.get("geneColors") || {};
+
+    const geneSelector = document.getElementById("gene-selector");
+    if (geneSelector) {
+      geneSelector
+        .querySelectorAll(".gene-checkbox-item")
+        .forEach((checkboxItem) => {
+          const gene = checkboxItem.getAttribute("data-gene");
+          const isSelected = !!selectedGenes[gene];
+          const checkbox = checkboxItem.querySelector(".gene-checkbox");
+          const colorIndicator = checkboxItem.querySelector(
+            ".gene-color-indicator"
+          );
+
+          if (checkbox) checkbox.checked = isSelected;
+          checkboxItem.classList.toggle("selected", isSelected);
+          if (colorIndicator) {
+            colorIndicator.style.backgroundColor = geneColors[gene];
+            colorIndicator.style.display = isSelected ? "inline-block" : "none";
+          }
+        });
+    }
+
+    this.clearActiveGenesList();
+    this.initializeActiveGenesList();
+  }
+
+  /**
+   * Removes genes missing from the given gene list from the selection state
+   * @param {string[]} genes - Genes available in the current dataset variant
+   */
+  pruneUnavailableGenes(genes) {
+    const available = new Set(genes);
+
+    ["selectedGenes", "visibleGenes"].forEach((key) => {
+      const current = store.get(key) || {};
+      const pruned = {};
+      Object.keys(current).forEach((gene) => {
+        if (available.has(gene)) pruned[gene] = current[gene];
+      });
+      if (Object.keys(pruned).length !== Object.keys(current).length) {
+        store.set(key, pruned);
+      }
+    });
+  }
+
   /**
    * Dynamically populates the gene selector with checkboxes from the gene_list.json file
    */
@@ -489,6 +575,9 @@ export class GeneUIManager {
       // Sort genes alphabetically (case insensitive)
       genes.sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
 
+      // Drop selections for genes that are not part of this dataset variant
+      this.pruneUnavailableGenes(genes);
+
       // Prepare all gene colors in a single batch to avoid multiple store updates
       const geneColors = store.get("geneColors") || {};
       let colorsUpdated = false;
@@ -2,6 +2,11 @@ import * as THREE from 'three';
 import { config } from './config.js';
 import { store } from './store.js';
 
+/**
+ * Point glyphs, the index is the value of the shape uniform in the fragment shader
+ */
+export const POINT_SHAPES = ['circle', 'square', 'triangle', 'cross', 'diamond', 'ring'];
+
 /**
  * Layer class for managing points in a specific z-stack of a gene
  */
@@ -9,47 +14,50 @@ export class Layer {
     /**
      * Create a new Layer
      * @param {string} zStack - The z-stack identifier
-     * @param {Array<{x: number, y: number, intensity?: number}>} points - Array of point data
+     * @param {Float32Array} coordinates - Interleaved x,y coordinates of the points
      * @param {THREE.Scene} scene - The THREE.js scene
      */
-    constructor(zStack, points, scene) {
+    constructor(zStack, coordinates, scene) {
         this.zStack = zStack;
         this.scene = scene;
-        this.points = points;
+        this.coordinates = coordinates;
         this.isVisible = false;
         this.pointsGroup = new THREE.Group();
         this.scene.add(this.pointsGroup);
         
+        // Points sit just above the boundaries (z = 0) in the 2D view, see setDepth()
+        this.setDepth(1);
+        
         // Get initial point size from store or config default
         const initialPointSize = store.get('pointSize') * 2
         this.currentPointSize = initialPointSize;
         
         // Create the points geometry
-        this.createPointsGeometry(points);
+        this.createPointsGeometry(coordinates);
     }
     
     /**
      * Create THREE.js points geometry from point data
      * @private
-     * @param {Array<{x: number, y: number, intensity?: number}>} points
+     * @param {Float32Array} coordinates - Interleaved x,y coordinates
      */
-    createPointsGeometry(points) {
+    createPointsGeometry(coordinates) {
         const geometry = new THREE.BufferGeometry();
+        const count = coordinates.length / 2;
         
         // Create typed arrays for better performance
-        const positions = new Float32Array(points.length * 3);
-        const colors = new Float32Array(points.length * 3);
-        const sizes = new Float32Array(points.length);
-        const alphas = new Float32Array(points.length);
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+        const alphas = new Float32Array(count);
         
         // Fill arrays directly for better performance
-        for (let i = 0; i < points.length; i++) {
-            const point = points[i];
+        for (let i = 0; i < count; i++) {
             const idx = i * 3;
             
-            positions[idx] = point.x;
-            positions[idx + 1] = point.y;
-            positions[idx + 2] = 1;
+            positions[idx] = coordinates[i * 2];
+            positions[idx + 1] = coordinates[i * 2 + 1];
+            positions[idx + 2] = 0;
             
             // Default white color, will be updated by updateColor
             colors[idx] = 1;
@@ -104,13 +112,42 @@ export class Layer {
         `;
 
         const fragmentShader = `
+            uniform float layerOpacity;
+            uniform int shape;
             varying vec3 vColor;
             varying float vAlpha;
             varying float vDistance;
 
+            // Distance-like measure that reaches 0.5 at the glyph edge, p is relative to the point center
+            float shapeDistance(vec2 p) {
+                if (shape == 1) {
+                    // Square
+                    return max(abs(p.x), abs(p.y)) * 1.1;
+                } else if (shape == 2) {
+                    // Upward triangle, centered vertically (gl_PointCoord y points down)
+                    vec2 q = vec2(abs(p.x), 0.125 - p.y);
+                    return 2.0 * max(q.x * 0.866 + q.y * 0.5, -q.y);
+                } else if (shape == 3) {
+                    // Cross made of two bars
+                    vec2 q = abs(p);
+                    return min(max(q.x * 3.0, q.y), max(q.x, q.y * 3.0));
+                } else if (shape == 4) {
+                    // Diamond
+                    return abs(p.x) + abs(p.y);
+                } else if (shape == 5) {
+                    // Ring between radius 0.3 and 0.5
+                    return 0.4 + abs(length(p) - 0.4);
+                }
+                // Circle
+                return length(p);
+            }
+
             void main() {
-                // Create circular points
-                float dist = length(gl_PointCoord - vec2(0.5, 0.5));
+                // Filtered-out points must not write depth, or they hide what is behind them in 3D
+                if (vAlpha <= 0.0) discard;
+
+                // Create points in the gene's glyph shape
+                float dist = shapeDistance(gl_PointCoord - vec2(0.5, 0.5));
                 if (dist > 0.5) discard;
                 
                 // Enhanced edge effect
@@ -131,14 +168,20 @@ export class Layer {
                 
                 // Final color with edge effect
                 vec3 finalColor = vColor * edgeEffect;
-                gl_FragColor = vec4(finalColor, alpha);
+                gl_FragColor = vec4(finalColor, alpha * layerOpacity);
+                #ifdef MAX_BLENDING
+                // Max blending ignores alpha, so fade the color itself at the edges
+                gl_FragColor.rgb *= gl_FragColor.a;
+                #endif
             }
         `;
         
         // Create shader material with uniforms
         const material = new THREE.ShaderMaterial({
             uniforms: {
-                dotSize: { value: this.currentPointSize }
+                dotSize: { value: this.currentPointSize },
+                layerOpacity: { value: 1.0 },
+                shape: { value: 0 }
             },
             vertexShader: vertexShader,
             fragmentShader: fragmentShader,
@@ -159,6 +202,14 @@ export class Layer {
         this.pointsGroup.visible = visible;
     }
     
+    /**
+     * Set the z position of the layer in the scene
+     * @param {number} z - Depth in data units
+     */
+    setDepth(z) {
+        this.pointsGroup.position.z = z;
+    }
+    
     /**
      * Update point colors
      * @param {string} color - Hex color string
@@ -193,6 +244,61 @@ export class Layer {
         }
     }
     
+    /**
+     * Set the glyph the points are drawn with
+     * @param {string} shape - One of POINT_SHAPES, unknown shapes are drawn as circles
+     */
+    setShape(shape) {
+        if (this.pointsMesh && this.pointsMesh.material.uniforms) {
+            this.pointsMesh.material.uniforms.shape.value = Math.max(0, POINT_SHAPES.indexOf(shape));
+        }
+    }
+    
+    /**
+     * Set the alpha of each point, e.g. 0 to hide points filtered out by cluster
+     * @param {Float32Array|null} alphas - Alpha per point, null to show all points fully opaque
+     */
+    setPointAlphas(alphas) {
+        const alphaAttribute = this.pointsMesh.geometry.getAttribute('alpha');
+        if (alphas) {
+            alphaAttribute.array.set(alphas);
+        } else {
+            alphaAttribute.array.fill(1.0);
+        }
+        alphaAttribute.needsUpdate = true;
+    }
+    
+    /**
+     * Set the opacity of the whole layer, used to fade layers in projection mode
+     * @param {number} opacity - Opacity between 0 and 1
+     */
+    setLayerOpacity(opacity) {
+        if (this.pointsMesh && this.pointsMesh.material.uniforms) {
+            this.pointsMesh.material.uniforms.layerOpacity.value = opacity;
+        }
+    }
+    
+    /**
+     * Switch between normal alpha blending and max blending, which keeps the brightest
+     * value per pixel over all shown layers (maximum intensity projection)
+     * @param {boolean} enabled
+     */
+    setMaxBlending(enabled) {
+        if (!this.pointsMesh) return;
+        const material = this.pointsMesh.material;
+        if (('MAX_BLENDING' in material.defines) === enabled) return;
+        
+        if (enabled) {
+            material.blending = THREE.CustomBlending;
+            material.blendEquation = THREE.MaxEquation;
+            material.defines.MAX_BLENDING = '';
+        } else {
+            material.blending = THREE.NormalBlending;
+            delete material.defines.MAX_BLENDING;
+        }
+        material.needsUpdate = true;
+    }
+    
     /**
      * Hide layer and trigger render update
      */
@@ -214,9 +320,9 @@ export class Layer {
         const positions = this.pointsMesh.geometry.getAttribute('position');
         const array = positions.array;
         
-        for (let i = 0; i < array.length; i += 3) {
-            let x = this.points[i / 3].x;
-            let y = this.points[i / 3].y;
+        for (let i = 0, j = 0; i < array.length; i += 3, j += 2) {
+            let x = this.coordinates[j];
+            let y = this.coordinates[j + 1];
             
             if (swapXY) {
                 [x, y] = [y, x];
@@ -240,7 +346,7 @@ export class Layer {
      * @returns {number}
      */
     getPointCount() {
-        return this.points.length;
+        return this.coordinates.length / 2;
     }
     
     /**
@@ -253,12 +359,12 @@ export class Layer {
         let minY = Infinity;
         let maxY = -Infinity;
         
-        this.points.forEach(point => {
-            minX = Math.min(minX, point.x);
-            maxX = Math.max(maxX, point.x);
-            minY = Math.min(minY, point.y);
-            maxY = Math.max(maxY, point.y);
-        });
+        for (let i = 0; i < this.coordinates.length; i += 2) {
+            minX = Math.min(minX, this.coordinates[i]);
+            maxX = Math.max(maxX, this.coordinates[i]);
+            minY = Math.min(minY, this.coordinates[i + 1]);
+            maxY = Math.max(maxY, this.coordinates[i + 1]);
+        }
         
         return { minX, maxX, minY, maxY };
     }
@@ -0,0 +1,360 @@
+/**
+ * MeasurementTool.js
+ * Status bar with the data coordinates, µm position and z-layer under the pointer, and a
+ * ruler: in the "measure" interaction mode, clicks add points to a path whose length is
+ * labelled in µm (pixels for uncalibrated variants). Measurements stay on screen until
+ * cleared or the dataset changes.
+ */
+
+import * as THREE from "three";
+import { store } from "./store.js";
+import { config } from "./config.js";
+import { formatLength } from "./ScaleBar.js";
+
+// Color of the ruler lines and points
+const RULER_COLOR = "#ffd400";
+
+// Clicks within this many pixels of the previous one are ignored (the clicks of a double-click)
+const REPEAT_CLICK_PX = 3;
+
+export class MeasurementTool {
+  constructor() {
+    this.sceneManager = null;
+    this.panelInitialized = false;
+
+    // Finished paths, each { points: [x, y, ...], line, label }
+    this.measurements = [];
+
+    // Path being measured, null when idle, and the last pointer position for its open segment
+    this.current = null;
+    this.pointer = null;
+
+    this.group = new THREE.Group();
+    this.group.renderOrder = 10;
+    this.group.position.z = 3;
+  }
+
+  /**
+   * Attach the readout and the ruler to the view of the application
+   * @param {MERFISHApp} app
+   */
+  initialize(app) {
+    if (this.sceneManager !== app.sceneManager) {
+      this.sceneManager = app.sceneManager;
+      this.sceneManager.getScene().add(this.group);
+
+      const canvas = this.sceneManager.renderer.domElement;
+      canvas.addEventListener("pointermove", (event) => this.handlePointerMove(event));
+      canvas.addEventListener("pointerleave", () => this.updateStatus(null));
+      canvas.addEventListener("dblclick", () => this.finishPath());
+      this.sceneManager.addClickListener((event) => this.handleClick(event));
+
+      // Labels follow their points through pans and zooms
+      this.sceneManager.controls.addEventListener("change", () => this.positionLabels());
+    }
+
+    if (!this.panelInitialized) {
+      this.panelInitialized = true;
+      this.initializePanel();
+
+      window.addEventListener("resize", () => this.positionLabels());
+      window.addEventListener("keydown", (event) => {
+        if (!this.current) return;
+        if (event.key === "Enter") {
+          this.finishPath();
+        } else if (event.key === "Escape") {
+          this.cancelPath();
+        }
+      });
+      store.subscribe("interactionMode", (mode) => {
+        if (mode !== "measure") this.finishPath();
+      });
+      store.subscribe("viewMode", () => this.updateVisibility());
+    }
+    this.updateVisibility();
+  }
+
+  /**
+   * Add a point to the path being measured, starting a new path if there is none
+   * @param {PointerEvent} event - The click
+   */
+  handleClick(event) {
+    if (store.get("interactionMode") !== "measure" || store.get("viewMode") === "3d") return;
+    const point = this.sceneManager.screenToData(event.clientX, event.clientY);
+    if (!point) return;
+
+    const screen = { x: event.clientX, y: event.clientY };
+    if (this.current) {
+      const last = this.current.screen;
+      if (Math.hypot(screen.x - last.x, screen.y - last.y) <= REPEAT_CLICK_PX) return;
+      this.current.points.push(point.x, point.y);
+      this.current.screen = screen;
+    } else {
+      this.current = {
+        points: [point.x, point.y],
+        screen,
+        line: null,
+        label: this.createLabel(),
+      };
+    }
+    this.redrawCurrent();
+  }
+
+  /**
+   * Update the status bar, and the open segment of the path being measured
+   * @param {PointerEvent} event
+   */
+  handlePointerMove(event) {
+    const point = this.sceneManager.screenToData(event.clientX, event.clientY);
+    this.updateStatus(point);
+
+    if (this.current && point) {
+      this.pointer = point;
+      this.redrawCurrent();
+    }
+  }
+
+  /**
+   * Keep the path being measured, when it has a length
+   */
+  finishPath() {
+    if (!this.current) return;
+    this.pointer = null;
+    if (this.current.points.length >= 4) {
+      this.redrawCurrent();
+      this.measurements.push(this.current);
+      this.current = null;
+      this.renderList();
+    } else {
+      this.cancelPath();
+    }
+  }
+
+  /**
+   * Drop the path being measured
+   */
+  cancelPath() {
+    if (!this.current) return;
+    this.removeMeasurement(this.current);
+    this.current = null;
+    this.pointer = null;
+  }
+
+  /**
+   * Remove all measurements
+   */
+  clear() {
+    this.cancelPath();
+    this.measurements.forEach((measurement) => this.removeMeasurement(measurement));
+    this.measurements = [];
+    this.renderList();
+  }
+
+  /**
+   * Get the length of a path
+   * @param {number[]} points - Interleaved x,y data coordinates
+   * @returns {number} Length in µm, or pixels for uncalibrated variants
+   */
+  getLength(points) {
+    let length = 0;
+    for (let i = 2; i < points.length; i += 2) {
+      length += Math.hypot(points[i] - points[i - 2], points[i + 1] - points[i - 1]);
+    }
+    return length * config.dataPaths.getPixelSize();
+  }
+
+  /**
+   * Format a measured length in the unit of the current variant
+   * @param {number} length - Length in µm, or pixels for uncalibrated variants
+   * @returns {string}
+   */
+  formatDistance(length) {
+    return formatLength(length, config.dataPaths.getLengthUnit(), 1);
+  }
+
+  /**
+   * Redraw the path being measured, up to the pointer while it is open
+   */
+  redrawCurrent() {
+    const measurement = this.current;
+    const points = this.pointer
+      ? [...measurement.points, this.pointer.x, this.pointer.y]
+      : measurement.points;
+
+    if (measurement.line) this.disposeLine(measurement.line);
+    measurement.line = this.createLine(points);
+    this.group.add(measurement.line);
+
+    measurement.label.textContent = this.formatDistance(this.getLength(points));
+    measurement.labelPoint = { x: points[points.length - 2], y: points[points.length - 1] };
+    this.positionLabel(measurement);
+  }
+
+  /**
+   * Create the line and vertex markers of a path
+   * @param {number[]} points - Interleaved x,y data coordinates
+   * @returns {THREE.Group}
+   */
+  createLine(points) {
+    const positions = new Float32Array((points.length / 2) * 3);
+    for (let i = 0; i < points.length / 2; i++) {
+      positions[i * 3] = points[i * 2];
+      positions[i * 3 + 1] = points[i * 2 + 1];
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+
+    const group = new THREE.Group();
+    const line = new THREE.Line(
+      geometry,
+      new THREE.LineBasicMaterial({ color: RULER_COLOR, depthTest: false })
+    );
+    const vertices = new THREE.Points(
+      geometry,
+      new THREE.PointsMaterial({
+        color: RULER_COLOR,
+        size: 6,
+        sizeAttenuation: false,
+        depthTest: false,
+      })
+    );
+    line.renderOrder = 10;
+    vertices.renderOrder = 10;
+    group.add(line, vertices);
+    return group;
+  }
+
+  /**
+   * Remove a line group and free its resources
+   * @param {THREE.Group} line
+   */
+  disposeLine(line) {
+    line.removeFromParent();
+    line.children[0].geometry.dispose();
+    line.children.forEach((child) => child.material.dispose());
+  }
+
+  /**
+   * Remove the line and label of a measurement
+   * @param {Object} measurement
+   */
+  removeMeasurement(measurement) {
+    if (measurement.line) this.disposeLine(measurement.line);
+    measurement.label.remove();
+  }
+
+  /**
+   * Create the distance label of a new measurement
+   * @returns {HTMLElement}
+   */
+  createLabel() {
+    const label = document.createElement("div");
+    label.className = "measurement-label text-sm font-medium";
+    document.getElementById("measurement-labels")?.appendChild(label);
+    return label;
+  }
+
+  /**
+   * Place a label next to the last point of its path
+   * @param {Object} measurement
+   */
+  positionLabel(measurement) {
+    if (!measurement.labelPoint) return;
+    const camera = this.sceneManager.camera;
+    const rect = this.sceneManager.renderer.domElement.getBoundingClientRect();
+    const projected = new THREE.Vector3(
+      measurement.labelPoint.x,
+      measurement.labelPoint.y,
+      this.group.position.z
+    ).project(camera);
+
+    measurement.label.style.left = `${rect.left + ((projected.x + 1) / 2) * rect.width}px`;
+    measurement.label.style.top = `${rect.top + ((1 - projected.y) / 2) * rect.height}px`;
+  }
+
+  /**
+   * Place all labels after the view changed
+   */
+  positionLabels() {
+    this.measurements.forEach((measurement) => this.positionLabel(measurement));
+    if (this.current) this.positionLabel(this.current);
+  }
+
+  /**
+   * Show measurements in the 2D view only, where the ruler works
+   */
+  updateVisibility() {
+    const visible = store.get("viewMode") !== "3d";
+    if (!visible) this.cancelPath();
+    this.group.visible = visible;
+
+    const labels = document.getElementById("measurement-labels");
+    if (labels) labels.style.display = visible ? "" : "none";
+    if (visible) this.positionLabels();
+  }
+
+  /**
+   * Show the position under the pointer
+   * @param {{x: number, y: number}|null} point - Data coordinates, null when off the canvas
+   */
+  updateStatus(point) {
+    const status = document.getElementById("cursor-status");
+    if (!status) return;
+
+    if (!point) {
+      status.textContent = `z ${store.get("zstack")}`;
+      return;
+    }
+    const pixelSize = config.dataPaths.getPixelSize();
+    const position = config.dataPaths.hasPixelSize()
+      ? ` · ${(point.x * pixelSize).toFixed(1)}, ${(point.y * pixelSize).toFixed(1)} µm`
+      : "";
+    status.textContent =
+      `x ${point.x.toFixed(1)}, y ${point.y.toFixed(1)}` +
+      position +
+      ` · z ${store.get("zstack")}`;
+  }
+
+  /**
+   * Bind the panel controls
+   */
+  initializePanel() {
+    const clearButton = document.getElementById("measurement-clear-btn");
+    if (clearButton) {
+      clearButton.addEventListener("click", () => this.clear());
+    }
+    this.updateStatus(null);
+    store.subscribe("zstack", () => this.updateStatus(null));
+    this.renderList();
+  }
+
+  /**
+   * List the lengths of the finished measurements
+   */
+  renderList() {
+    const list = document.getElementById("measurement-list");
+    if (!list) return;
+
+    list.innerHTML = "";
+    if (this.measurements.length === 0) {
+      const emptyMessage = document.createElement("div");
+      emptyMessage.className = "empty-message text-sm font-medium";
+      emptyMessage.textContent = "No measurements";
+      list.appendChild(emptyMessage);
+      return;
+    }
+
+    this.measurements.forEach((measurement, i) => {
+      const segments = measurement.points.length / 2 - 1;
+      const item = document.createElement("div");
+      item.className = "measurement-item";
+      item.textContent =
+        `${i + 1}. ${this.formatDistance(this.getLength(measurement.points))}` +
+        (segments > 1 ? ` (${segments} segments)` : "");
+      list.appendChild(item);
+    });
+  }
+}
+
+// Create a singleton instance
+export const measurementTool = new MeasurementTool();
@@ -0,0 +1,233 @@
+/**
+ * Minimap.js
+ * Overview of the current layer in a corner of the 2D view: a low-resolution drawing of the
+ * cell boundaries with the visible area outlined. Clicking or dragging in it moves the view.
+ */
+
+import { store } from "./store.js";
+import { getCellRange, polygonBounds } from "./geometry.js";
+
+// Longest side of the minimap in CSS pixels
+const MINIMAP_SIZE = 200;
+
+// Boundary points drawn at most, cells are simplified to stay below it
+const MAX_DRAWN_POINTS = 100000;
+
+// Space around the data in the minimap, as a fraction of its size
+const MARGIN = 0.05;
+
+export class Minimap {
+  constructor() {
+    this.sceneManager = null;
+    this.cellBoundaries = null;
+    this.panelInitialized = false;
+
+    // Boundaries drawn on the background, and the data rectangle the minimap shows
+    this.background = null;
+    this.backgroundData = null;
+    this.extent = null;
+
+    this.dragging = false;
+  }
+
+  /**
+   * Attach the minimap to the view and boundaries of the application
+   * @param {MERFISHApp} app
+   */
+  initialize(app) {
+    this.cellBoundaries = app.cellBoundaries;
+
+    if (this.sceneManager !== app.sceneManager) {
+      this.sceneManager = app.sceneManager;
+      this.sceneManager.controls.addEventListener("change", () => this.draw());
+    }
+
+    if (!this.panelInitialized) {
+      this.panelInitialized = true;
+      this.initializePointerEvents();
+
+      store.subscribe("showMinimap", () => this.update());
+      store.subscribe("viewMode", () => this.update());
+      store.subscribe("zstack", () => this.update());
+      // Set whenever boundary geometry has been built
+      store.subscribe("boundariesRendered", () => this.update());
+      window.addEventListener("resize", () => this.draw());
+    }
+    this.update();
+  }
+
+  /**
+   * Get the boundary data of the current layer
+   * @returns {Object|null}
+   */
+  getLayerData() {
+    const layer = this.cellBoundaries?.boundaryLayers[store.get("zstack").toString()];
+    return layer ? layer.jsonData : null;
+  }
+
+  /**
+   * Show the minimap in the 2D view when enabled, redrawing the boundaries if the layer changed
+   */
+  update() {
+    const element = document.getElementById("minimap");
+    if (!element) return;
+
+    const data = this.getLayerData();
+    const visible = store.get("showMinimap") && store.get("viewMode") !== "3d" && !!data;
+    element.style.display = visible ? "block" : "none";
+    if (!visible) return;
+
+    if (data !== this.backgroundData) {
+      this.renderBackground(data);
+    }
+    this.draw();
+  }
+
+  /**
+   * Draw the cell outlines of a layer at the minimap's resolution
+   * @param {{cellOffsets: Uint32Array, points: Float32Array, cellIds: Float64Array}} data
+   */
+  renderBackground(data) {
+    const canvas = document.getElementById("minimap-canvas");
+    const pointCount = data.points.length / 2;
+    const bounds = polygonBounds(data.points, 0, pointCount);
+    const width = bounds.maxX - bounds.minX || 1;
+    const height = bounds.maxY - bounds.minY || 1;
+
+    this.extent = {
+      minX: bounds.minX - width * MARGIN,
+      maxX: bounds.maxX + width * MARGIN,
+      minY: bounds.minY - height * MARGIN,
+      maxY: bounds.maxY + height * MARGIN,
+    };
+    const aspect = width / height;
+    const cssWidth = aspect >= 1 ? MINIMAP_SIZE : Math.round(MINIMAP_SIZE * aspect);
+    const cssHeight = aspect >= 1 ? Math.round(MINIMAP_SIZE / aspect) : MINIMAP_SIZE;
+    const ratio = window.devicePixelRatio || 1;
+
+    canvas.style.width = `${cssWidth}px`;
+    canvas.style.height = `${cssHeight}px`;
+    canvas.width = Math.round(cssWidth * ratio);
+    canvas.height = Math.round(cssHeight * ratio);
+
+    this.background = document.createElement("canvas");
+    this.background.width = canvas.width;
+    this.background.height = canvas.height;
+    const context = this.background.getContext("2d");
+    context.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    context.lineWidth = ratio * 0.5;
+
+    // Every step-th point of each outline
+    const step = Math.max(1, Math.ceil(pointCount / MAX_DRAWN_POINTS));
+    context.beginPath();
+    for (let index = 0; index < data.cellIds.length; index++) {
+      const { start, end } = getCellRange(data, index);
+      if (end - start < 3) continue;
+      for (let i = start; i < end; i += step) {
+        const { x, y } = this.dataToCanvas(data.points[i * 2], data.points[i * 2 + 1]);
+        if (i === start) {
+          context.moveTo(x, y);
+        } else {
+          context.lineTo(x, y);
+        }
+      }
+      context.closePath();
+    }
+    context.stroke();
+
+    this.backgroundData = data;
+  }
+
+  /**
+   * Draw the boundaries and the outline of the visible area
+   */
+  draw() {
+    const canvas = document.getElementById("minimap-canvas");
+    const camera = this.sceneManager?.camera;
+    if (!canvas || !this.background || !camera || camera.isPerspectiveCamera) return;
+
+    const context = canvas.getContext("2d");
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(this.background, 0, 0);
+
+    const topLeft = this.dataToCanvas(
+      camera.position.x + camera.left / camera.zoom,
+      camera.position.y + camera.top / camera.zoom
+    );
+    const bottomRight = this.dataToCanvas(
+      camera.position.x + camera.right / camera.zoom,
+      camera.position.y + camera.bottom / camera.zoom
+    );
+    context.strokeStyle = "#ffd400";
+    context.lineWidth = 2 * (window.devicePixelRatio || 1);
+    context.strokeRect(
+      topLeft.x,
+      topLeft.y,
+      bottomRight.x - topLeft.x,
+      bottomRight.y - topLeft.y
+    );
+  }
+
+  /**
+   * Convert data coordinates to minimap canvas pixels
+   * @param {number} x
+   * @param {number} y
+   * @returns {{x: number, y: number}}
+   */
+  dataToCanvas(x, y) {
+    const canvas = document.getElementById("minimap-canvas");
+    const { minX, maxX, minY, maxY } = this.extent;
+    return {
+      x: ((x - minX) / (maxX - minX)) * canvas.width,
+      y: ((maxY - y) / (maxY - minY)) * canvas.height,
+    };
+  }
+
+  /**
+   * Center the view on the data point under a pointer event in the minimap
+   * @param {PointerEvent} event
+   */
+  moveTo(event) {
+    if (!this.extent) return;
+    const canvas = document.getElementById("minimap-canvas");
+    const rect = canvas.getBoundingClientRect();
+    const { minX, maxX, minY, maxY } = this.extent;
+    const x = minX + ((event.clientX - rect.left) / rect.width) * (maxX - minX);
+    const y = maxY - ((event.clientY - rect.top) / rect.height) * (maxY - minY);
+
+    // The 2D camera stays straight above its target
+    const { camera, controls } = this.sceneManager;
+    controls.target.set(x, y, controls.target.z);
+    camera.position.set(x, y, camera.position.z);
+    controls.update();
+  }
+
+  /**
+   * Move the view on clicks and drags in the minimap
+   */
+  initializePointerEvents() {
+    const canvas = document.getElementById("minimap-canvas");
+    if (!canvas) return;
+
+    canvas.addEventListener("pointerdown", (event) => {
+      if (event.button !== 0) return;
+      this.dragging = true;
+      canvas.setPointerCapture(event.pointerId);
+      this.moveTo(event);
+    });
+    canvas.addEventListener("pointermove", (event) => {
+      if (this.dragging) this.moveTo(event);
+    });
+    const stopDragging = (event) => {
+      this.dragging = false;
+      if (canvas.hasPointerCapture(event.pointerId)) {
+        canvas.releasePointerCapture(event.pointerId);
+      }
+    };
+    canvas.addEventListener("pointerup", stopDragging);
+    canvas.addEventListener("pointercancel", stopDragging);
+  }
+}
+
+// Create a singleton instance
+export const minimap = new Minimap();
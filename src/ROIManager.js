@@ -0,0 +1,490 @@
+/**
+ * ROIManager.js
+ * Regions of interest drawn on the 2D view as rectangles, freehand lassos or polygons.
+ * ROIs live in the store ("rois") in data coordinates, independent of the z-stack,
+ * and are listed in the Regions panel to rename or delete them.
+ */
+
+import * as THREE from "three";
+import { store } from "./store.js";
+import { config } from "./config.js";
+import { pointInPolygon, polygonBounds } from "./geometry.js";
+
+// Interaction modes that draw an ROI, "navigate" pans and selects cells as usual
+export const ROI_TOOLS = ["rectangle", "lasso", "polygon"];
+
+// Outline colors, assigned by ROI id
+const ROI_COLORS = ["#00e5ff", "#ff4081", "#76ff03", "#ffab00", "#d500f9", "#ffffff"];
+
+// Screen distance in pixels between lasso samples, and for closing a polygon on its first point
+const LASSO_SPACING_PX = 3;
+const CLOSE_DISTANCE_PX = 8;
+
+export class ROIManager {
+  constructor() {
+    this.app = null;
+    this.sceneManager = null;
+    this.panelInitialized = false;
+
+    // Outlines of the stored ROIs
+    this.group = new THREE.Group();
+    this.group.renderOrder = 10;
+
+    // ROI being drawn: { type, points: [x, y, ...], start, lastScreen }, null when idle
+    this.drawing = null;
+    this.preview = null;
+  }
+
+  /**
+   * Attach the ROI tools to the application and set up the Regions panel
+   * @param {MERFISHApp} app - Application whose view ROIs are drawn on
+   */
+  initialize(app) {
+    this.app = app;
+
+    if (this.sceneManager !== app.sceneManager) {
+      this.sceneManager = app.sceneManager;
+      this.sceneManager.getScene().add(this.group);
+      this.initializePointerEvents(this.sceneManager.renderer.domElement);
+    }
+
+    if (!this.panelInitialized) {
+      this.panelInitialized = true;
+      this.initializePanel();
+
+      store.subscribe("rois", () => {
+        this.renderOutlines();
+        this.renderList();
+      });
+      store.subscribe("interactionMode", (mode) => this.handleModeChange(mode));
+
+      // Outlines lie on the current layer
+      store.subscribe("zstack", () => this.updateDepth());
+      store.subscribe("viewMode", (mode) => {
+        if (mode === "3d") store.set("interactionMode", "navigate");
+        this.updateDepth();
+      });
+    }
+
+    this.renderOutlines();
+    this.renderList();
+    this.handleModeChange(store.get("interactionMode"));
+  }
+
+  /**
+   * Get all ROIs
+   * @returns {Array<{id: number, name: string, type: string, points: number[]}>}
+   *   Points are interleaved x,y data coordinates of the closed outline
+   */
+  getROIs() {
+    return store.get("rois") || [];
+  }
+
+  /**
+   * Get an ROI by id
+   * @param {number} id
+   * @returns {Object|null}
+   */
+  getROI(id) {
+    return this.getROIs().find((roi) => roi.id === id) || null;
+  }
+
+  /**
+   * Check whether a data point lies inside an ROI
+   * @param {Object} roi
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  containsPoint(roi, x, y) {
+    return pointInPolygon(roi.points, 0, roi.points.length / 2, x, y);
+  }
+
+  /**
+   * Get the bounding box of an ROI in data coordinates
+   * @param {Object} roi
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+   */
+  getBounds(roi) {
+    return polygonBounds(roi.points, 0, roi.points.length / 2);
+  }
+
+  /**
+   * Store a new ROI
+   * @param {string} type - One of ROI_TOOLS
+   * @param {number[]} points - Interleaved x,y data coordinates
+   * @returns {Object} The ROI
+   */
+  addROI(type, points) {
+    const rois = this.getROIs();
+    const id = rois.reduce((max, roi) => Math.max(max, roi.id), 0) + 1;
+    const roi = { id, name: `ROI ${id}`, type, points };
+    store.set("rois", [...rois, roi]);
+    return roi;
+  }
+
+  /**
+   * Rename an ROI
+   * @param {number} id
+   * @param {string} name - New name, ignored when blank
+   */
+  renameROI(id, name) {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      this.renderList();
+      return;
+    }
+    store.set(
+      "rois",
+      this.getROIs().map((roi) => (roi.id === id ? { ...roi, name: trimmed } : roi))
+    );
+  }
+
+  /**
+   * Delete an ROI
+   * @param {number} id
+   */
+  deleteROI(id) {
+    store.set(
+      "rois",
+      this.getROIs().filter((roi) => roi.id !== id)
+    );
+  }
+
+  /**
+   * Get the outline color of an ROI
+   * @param {{id: number}} roi
+   * @returns {string}
+   */
+  getColor(roi) {
+    return ROI_COLORS[(roi.id - 1) % ROI_COLORS.length];
+  }
+
+  /**
+   * Enable panning only in the navigate mode, so drags draw with the ROI tools
+   * @param {string} mode - Interaction mode
+   */
+  handleModeChange(mode) {
+    this.cancelDrawing();
+    if (this.sceneManager) {
+      this.sceneManager.controls.enablePan = !ROI_TOOLS.includes(mode);
+      this.sceneManager.renderer.domElement.style.cursor =
+        mode !== "navigate" ? "crosshair" : "";
+    }
+
+    document.querySelectorAll("#roi-tools button[data-mode]").forEach((button) => {
+      button.classList.toggle("selected", button.getAttribute("data-mode") === mode);
+    });
+  }
+
+  /**
+   * Listen for the pointer and keyboard input that draws ROIs
+   * @param {HTMLElement} element - The canvas
+   */
+  initializePointerEvents(element) {
+    element.addEventListener("pointerdown", (event) => this.handlePointerDown(event));
+    element.addEventListener("pointermove", (event) => this.handlePointerMove(event));
+    element.addEventListener("pointerup", (event) => this.handlePointerUp(event));
+    element.addEventListener("dblclick", () => {
+      if (this.drawing?.type === "polygon") this.finishDrawing();
+    });
+
+    window.addEventListener("keydown", (event) => {
+      if (!this.drawing) return;
+      if (event.key === "Escape") {
+        this.cancelDrawing();
+      } else if (event.key === "Enter" && this.drawing.type === "polygon") {
+        this.finishDrawing();
+      }
+    });
+  }
+
+  /**
+   * Get the active drawing tool
+   * @returns {string|null} One of ROI_TOOLS, null when not drawing ROIs
+   */
+  getTool() {
+    const mode = store.get("interactionMode");
+    return ROI_TOOLS.includes(mode) && store.get("viewMode") !== "3d" ? mode : null;
+  }
+
+  /**
+   * Start a rectangle or lasso, or add a polygon vertex
+   * @param {PointerEvent} event
+   */
+  handlePointerDown(event) {
+    const tool = this.getTool();
+    if (!tool || event.button !== 0) return;
+    const point = this.sceneManager.screenToData(event.clientX, event.clientY);
+    if (!point) return;
+
+    const screen = { x: event.clientX, y: event.clientY };
+    if (tool === "polygon" && this.drawing) {
+      // Clicking the first vertex closes the polygon
+      const first = this.drawing.start;
+      if (
+        this.drawing.points.length >= 6 &&
+        Math.hypot(screen.x - first.x, screen.y - first.y) <= CLOSE_DISTANCE_PX
+      ) {
+        this.finishDrawing();
+        return;
+      }
+      this.drawing.points.push(point.x, point.y);
+    } else {
+      this.drawing = {
+        type: tool,
+        points: [point.x, point.y],
+        start: screen,
+        lastScreen: screen,
+      };
+    }
+    this.updatePreview(point);
+  }
+
+  /**
+   * Follow the pointer with the shape being drawn
+   * @param {PointerEvent} event
+   */
+  handlePointerMove(event) {
+    if (!this.drawing) return;
+    const point = this.sceneManager.screenToData(event.clientX, event.clientY);
+    if (!point) return;
+
+    if (this.drawing.type === "lasso" && event.buttons & 1) {
+      const last = this.drawing.lastScreen;
+      if (Math.hypot(event.clientX - last.x, event.clientY - last.y) >= LASSO_SPACING_PX) {
+        this.drawing.points.push(point.x, point.y);
+        this.drawing.lastScreen = { x: event.clientX, y: event.clientY };
+      }
+    }
+    this.updatePreview(point);
+  }
+
+  /**
+   * Finish a rectangle or lasso when the button is released
+   * @param {PointerEvent} event
+   */
+  handlePointerUp(event) {
+    if (!this.drawing || event.button !== 0) return;
+
+    if (this.drawing.type === "rectangle") {
+      const point = this.sceneManager.screenToData(event.clientX, event.clientY);
+      const [x0, y0] = this.drawing.points;
+      this.drawing.points = point
+        ? [x0, y0, point.x, y0, point.x, point.y, x0, point.y]
+        : [];
+      this.finishDrawing();
+    } else if (this.drawing.type === "lasso") {
+      this.finishDrawing();
+    }
+  }
+
+  /**
+   * Store the shape being drawn as an ROI, when it encloses an area
+   */
+  finishDrawing() {
+    const { type, points } = this.drawing;
+    this.cancelDrawing();
+
+    // A double click adds the last vertex twice
+    const cleaned = [];
+    for (let i = 0; i < points.length; i += 2) {
+      const n = cleaned.length;
+      if (n >= 2 && cleaned[n - 2] === points[i] && cleaned[n - 1] === points[i + 1]) continue;
+      cleaned.push(points[i], points[i + 1]);
+    }
+    if (cleaned.length < 6) return;
+
+    const bounds = polygonBounds(cleaned, 0, cleaned.length / 2);
+    if (bounds.minX === bounds.maxX || bounds.minY === bounds.maxY) return;
+
+    this.addROI(type, cleaned);
+  }
+
+  /**
+   * Drop the shape being drawn
+   */
+  cancelDrawing() {
+    this.drawing = null;
+    if (this.preview) {
+      this.disposeObject(this.preview);
+      this.preview = null;
+    }
+  }
+
+  /**
+   * Redraw the shape being drawn up to the pointer
+   * @param {{x: number, y: number}} pointer - Pointer in data coordinates
+   */
+  updatePreview(pointer) {
+    const { type, points } = this.drawing;
+    let outline;
+    if (type === "rectangle") {
+      const [x0, y0] = points;
+      outline = [x0, y0, pointer.x, y0, pointer.x, pointer.y, x0, pointer.y, x0, y0];
+    } else if (type === "polygon") {
+      outline = [...points, pointer.x, pointer.y];
+    } else {
+      outline = points;
+    }
+
+    if (this.preview) this.disposeObject(this.preview);
+    this.preview = this.createOutline(outline, "#ffffff", false);
+    this.group.add(this.preview);
+  }
+
+  /**
+   * Create a line through data points
+   * @param {number[]} points - Interleaved x,y data coordinates
+   * @param {string} color - CSS color
+   * @param {boolean} closed - Whether to connect the last point to the first
+   * @returns {THREE.Line}
+   */
+  createOutline(points, color, closed) {
+    const positions = new Float32Array((points.length / 2) * 3);
+    for (let i = 0; i < points.length / 2; i++) {
+      positions[i * 3] = points[i * 2];
+      positions[i * 3 + 1] = points[i * 2 + 1];
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    const material = new THREE.LineBasicMaterial({ color, depthTest: false });
+
+    const line = closed
+      ? new THREE.LineLoop(geometry, material)
+      : new THREE.Line(geometry, material);
+    line.renderOrder = 10;
+    return line;
+  }
+
+  /**
+   * Remove an object from the overlay and free its resources
+   * @param {THREE.Object3D} object
+   */
+  disposeObject(object) {
+    object.removeFromParent();
+    object.geometry.dispose();
+    object.material.dispose();
+  }
+
+  /**
+   * Redraw the outlines of all ROIs
+   */
+  renderOutlines() {
+    [...this.group.children]
+      .filter((child) => child !== this.preview)
+      .forEach((child) => this.disposeObject(child));
+
+    this.getROIs().forEach((roi) => {
+      this.group.add(this.createOutline(roi.points, this.getColor(roi), true));
+    });
+    this.updateDepth();
+  }
+
+  /**
+   * Place the outlines above the points in 2D, on the current layer's plane in 3D
+   */
+  updateDepth() {
+    this.group.position.z =
+      store.get("viewMode") === "3d"
+        ? store.get("zstack") * config.dataPaths.getZStep()
+        : 3;
+  }
+
+  /**
+   * Bind the panel controls
+   */
+  initializePanel() {
+    const tools = document.getElementById("roi-tools");
+    const roiList = document.getElementById("roi-list");
+
+    if (tools) {
+      tools.addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-mode]");
+        if (!button) return;
+        const mode = button.getAttribute("data-mode");
+        if (mode !== "navigate" && store.get("viewMode") === "3d") {
+          alert("Regions are drawn and measured in the 2D view.");
+          return;
+        }
+        store.set("interactionMode", mode);
+      });
+    }
+
+    // One listener for all rows, the list is re-rendered on every change
+    if (roiList) {
+      roiList.addEventListener("change", (e) => {
+        if (!e.target.matches("input[data-action='rename']")) return;
+        const id = parseInt(e.target.closest(".roi-item").getAttribute("data-roi"), 10);
+        this.renameROI(id, e.target.value);
+      });
+      roiList.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" && e.target.matches("input[data-action='rename']")) {
+          e.target.blur();
+        }
+      });
+      roiList.addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-action]");
+        if (!button) return;
+        const id = parseInt(button.closest(".roi-item").getAttribute("data-roi"), 10);
+        if (button.getAttribute("data-action") === "delete") {
+          this.deleteROI(id);
+        }
+      });
+    }
+  }
+
+  /**
+   * Render the ROI list
+   */
+  renderList() {
+    const roiList = document.getElementById("roi-list");
+    if (!roiList) return;
+
+    roiList.innerHTML = "";
+    const rois = this.getROIs();
+    if (rois.length === 0) {
+      const emptyMessage = document.createElement("div");
+      emptyMessage.className = "empty-message text-sm font-medium";
+      emptyMessage.textContent = "No regions drawn";
+      roiList.appendChild(emptyMessage);
+      return;
+    }
+
+    rois.forEach((roi) => {
+      const item = document.createElement("div");
+      item.className = "roi-item";
+      item.setAttribute("data-roi", roi.id);
+
+      const swatch = document.createElement("span");
+      swatch.className = "roi-swatch";
+      swatch.style.borderColor = this.getColor(roi);
+      swatch.title = roi.type;
+
+      const nameInput = document.createElement("input");
+      nameInput.type = "text";
+      nameInput.className = "text-sm";
+      nameInput.value = roi.name;
+      nameInput.title = "Rename";
+      nameInput.setAttribute("data-action", "rename");
+
+      const statsButton = document.createElement("button");
+      statsButton.className = "text-sm";
+      statsButton.setAttribute("data-action", "stats");
+      statsButton.title = "Transcript and cell counts in the region";
+      statsButton.textContent = "Stats";
+
+      const deleteButton = document.createElement("button");
+      deleteButton.className = "text-sm";
+      deleteButton.setAttribute("data-action", "delete");
+      deleteButton.title = "Delete region";
+      deleteButton.textContent = "×";
+
+      item.append(swatch, nameInput, statsButton, deleteButton);
+      roiList.appendChild(item);
+    });
+  }
+}
+
+// Create a singleton instance
+export const roiManager = new ROIManager();
@@ -0,0 +1,367 @@
+/**
+ * ROIStats.js
+ * Statistics of a region of interest: per selected gene the transcripts inside it in the
+ * current layer and in all layers, their density, and the cells whose centroid lies inside.
+ * Opened from the Regions panel, copyable as TSV.
+ */
+
+import { store } from "./store.js";
+import { config } from "./config.js";
+import { roiManager } from "./ROIManager.js";
+import {
+  getCellRange,
+  polygonArea,
+  polygonCentroid,
+  countPointsInPolygon,
+} from "./geometry.js";
+
+export class ROIStats {
+  constructor() {
+    this.app = null;
+    this.panelInitialized = false;
+
+    // ROI shown in the panel, null when it is closed
+    this.roiId = null;
+
+    // Latest statistics, for copying
+    this.stats = null;
+
+    // Transcripts inside an ROI per gene layer ("dataset/variant/roi/gene/z" to a Promise of a count)
+    this.countCache = new Map();
+
+    // Points the cached counts of each ROI id were computed for
+    this.countedPoints = new Map();
+
+    // Incremented per computation so results for a previous state are dropped
+    this.request = 0;
+  }
+
+  /**
+   * Attach to the application whose genes and boundaries are counted, and set up the panel
+   * @param {MERFISHApp} app
+   */
+  initialize(app) {
+    this.app = app;
+
+    if (!this.panelInitialized) {
+      this.panelInitialized = true;
+      this.initializePanel();
+
+      store.subscribe("rois", () => this.handleROIsChange());
+      store.subscribe("zstack", () => this.refresh());
+      store.subscribe("selectedGenes", () => this.refresh());
+    }
+  }
+
+  /**
+   * Open the panel for an ROI
+   * @param {number} id - ROI id
+   */
+  show(id) {
+    this.roiId = id;
+    this.refresh();
+  }
+
+  /**
+   * Close the panel
+   */
+  close() {
+    this.roiId = null;
+    this.stats = null;
+    this.request++;
+
+    const panel = document.getElementById("roi-stats");
+    if (panel) panel.style.display = "none";
+  }
+
+  /**
+   * Drop cached counts, e.g. after switching dataset
+   */
+  reset() {
+    this.countCache.clear();
+    this.countedPoints.clear();
+    this.close();
+  }
+
+  /**
+   * Drop the counts of deleted ROIs, whose ids may be reused, and of ROIs whose points were
+   * replaced under the same id (e.g. by restoring a session), and follow renames
+   */
+  handleROIsChange() {
+    const points = new Map(roiManager.getROIs().map((roi) => [roi.id.toString(), roi.points]));
+    Array.from(this.countedPoints.keys()).forEach((id) => {
+      if (points.get(id) !== this.countedPoints.get(id)) this.countedPoints.delete(id);
+    });
+    Array.from(this.countCache.keys()).forEach((key) => {
+      if (!this.countedPoints.has(key.split("/")[2])) this.countCache.delete(key);
+    });
+
+    if (this.roiId === null) return;
+    if (roiManager.getROI(this.roiId)) {
+      this.refresh();
+    } else {
+      this.close();
+    }
+  }
+
+  /**
+   * Recompute and render the statistics of the open ROI
+   */
+  async refresh() {
+    const roi = this.roiId !== null ? roiManager.getROI(this.roiId) : null;
+    if (!roi) return;
+    const request = ++this.request;
+
+    this.renderLoading(roi);
+    try {
+      const stats = await this.compute(roi);
+      if (request !== this.request) return;
+      this.stats = stats;
+      this.render(stats);
+    } catch (error) {
+      if (request !== this.request) return;
+      console.error("Error computing ROI statistics:", error);
+      const status = document.getElementById("roi-stats-status");
+      if (status) status.textContent = "Could not compute statistics";
+    }
+  }
+
+  /**
+   * Compute the statistics of an ROI for the current layer and the selected genes
+   * @param {Object} roi - ROI from the store
+   * @returns {Promise<{name: string, zstack: string, unit: string, area: number,
+   *   cells: number|null,
+   *   genes: Array<{name: string, layerCount: number, totalCount: number, density: number}>}>}
+   *   Area in µm² (px² for uncalibrated variants), cells is null when the boundaries
+   *   of the layer are not loaded
+   */
+  async compute(roi) {
+    const zstack = store.get("zstack").toString();
+    const unit = config.dataPaths.getLengthUnit();
+    const area =
+      polygonArea(roi.points, 0, roi.points.length / 2) * config.dataPaths.getPixelSize() ** 2;
+
+    const genes = await Promise.all(
+      Array.from(this.app.geneLoader.activeGenes.values()).map(async (gene) => {
+        const layerKeys = this.getGeneLayerKeys(gene);
+        const counts = await Promise.all(
+          layerKeys.map((z) => this.countInLayer(roi, gene, z))
+        );
+        const layerCount = counts[layerKeys.indexOf(zstack)] || 0;
+        return {
+          name: gene.name,
+          layerCount,
+          totalCount: counts.reduce((sum, count) => sum + count, 0),
+          density: area > 0 ? layerCount / area : 0,
+        };
+      })
+    );
+
+    return {
+      name: roi.name,
+      zstack,
+      unit,
+      area,
+      cells: this.countCells(roi, zstack),
+      genes,
+    };
+  }
+
+  /**
+   * Get the layers a gene has transcripts in
+   * @param {Gene} gene
+   * @returns {string[]}
+   */
+  getGeneLayerKeys(gene) {
+    return gene.hasLayerSource() ? Array.from(gene.layerKeys) : gene.getLayerKeys();
+  }
+
+  /**
+   * Count the transcripts of a gene layer inside an ROI, fetching layers that are not loaded
+   * @param {Object} roi
+   * @param {Gene} gene
+   * @param {string} z - Layer
+   * @returns {Promise<number>}
+   */
+  countInLayer(roi, gene, z) {
+    const { currentDataset, currentVariant } = config.dataPaths;
+    const key = `${currentDataset}/${currentVariant}/${roi.id}/${gene.name}/${z}`;
+    if (this.countCache.has(key)) return this.countCache.get(key);
+    this.countedPoints.set(roi.id.toString(), roi.points);
+
+    const count = (coordinates) =>
+      countPointsInPolygon(coordinates, roi.points, 0, roi.points.length / 2);
+    const layer = gene.getLayer(z);
+    const promise = layer
+      ? Promise.resolve(count(layer.coordinates))
+      : gene.fetchLayer(z).then(count);
+
+    // Failed layers are retried on the next refresh
+    promise.catch(() => this.countCache.delete(key));
+    this.countCache.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Count the cells of a layer whose centroid lies inside an ROI
+   * @param {Object} roi
+   * @param {string} zstack - Layer
+   * @returns {number|null} Null when the boundaries of the layer are not loaded
+   */
+  countCells(roi, zstack) {
+    const data = this.app?.cellBoundaries?.boundaryLayers[zstack]?.jsonData;
+    if (!data) return null;
+
+    const bounds = roiManager.getBounds(roi);
+    let cells = 0;
+    for (let index = 0; index < data.cellIds.length; index++) {
+      const { start, end } = getCellRange(data, index);
+      if (end - start < 3) continue;
+      const { x, y } = polygonCentroid(data.points, start, end);
+      if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) {
+        continue;
+      }
+      if (roiManager.containsPoint(roi, x, y)) cells++;
+    }
+    return cells;
+  }
+
+  /**
+   * Format statistics as tab-separated values with a header row
+   * @param {Object} stats - Result of compute()
+   * @returns {string}
+   */
+  toTSV(stats) {
+    const unit = stats.unit === "µm" ? "um" : stats.unit;
+    const header = [
+      "roi",
+      "gene",
+      `count_z${stats.zstack}`,
+      "count_all_layers",
+      `density_per_${unit}2`,
+      `area_${unit}2`,
+      `cells_z${stats.zstack}`,
+    ];
+    const rows = stats.genes.map((gene) => [
+      stats.name,
+      gene.name,
+      gene.layerCount,
+      gene.totalCount,
+      gene.density.toPrecision(4),
+      stats.area.toFixed(1),
+      stats.cells ?? "",
+    ]);
+    return [header, ...rows].map((row) => row.join("\t")).join("\n");
+  }
+
+  /**
+   * Copy the statistics of the open ROI to the clipboard
+   */
+  async copy() {
+    if (!this.stats) return;
+    const button = document.getElementById("roi-stats-copy-btn");
+    try {
+      await navigator.clipboard.writeText(this.toTSV(this.stats));
+      if (button) button.textContent = "Copied";
+    } catch (error) {
+      console.error("Error copying ROI statistics:", error);
+      if (button) button.textContent = "Copy failed";
+    }
+    setTimeout(() => {
+      if (button) button.textContent = "Copy TSV";
+    }, 1500);
+  }
+
+  /**
+   * Bind the panel controls
+   */
+  initializePanel() {
+    const closeButton = document.getElementById("roi-stats-close");
+    const copyButton = document.getElementById("roi-stats-copy-btn");
+    const roiList = document.getElementById("roi-list");
+
+    if (closeButton) {
+      closeButton.addEventListener("click", () => this.close());
+    }
+    if (copyButton) {
+      copyButton.addEventListener("click", () => this.copy());
+    }
+    if (roiList) {
+      roiList.addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-action='stats']");
+        if (!button) return;
+        this.show(parseInt(button.closest(".roi-item").getAttribute("data-roi"), 10));
+      });
+    }
+  }
+
+  /**
+   * Open the panel while the statistics are computed
+   * @param {Object} roi
+   */
+  renderLoading(roi) {
+    const panel = document.getElementById("roi-stats");
+    if (!panel) return;
+
+    document.getElementById("roi-stats-name").textContent = roi.name;
+    document.getElementById("roi-stats-status").textContent = "Counting…";
+    panel.style.display = "block";
+  }
+
+  /**
+   * Render the statistics
+   * @param {Object} stats - Result of compute()
+   */
+  render(stats) {
+    const panel = document.getElementById("roi-stats");
+    if (!panel) return;
+
+    document.getElementById("roi-stats-name").textContent = stats.name;
+    document.getElementById("roi-stats-status").textContent = "";
+
+    const details = document.getElementById("roi-stats-details");
+    details.innerHTML = "";
+    [
+      ["Area", `${stats.area.toFixed(1)} ${stats.unit}²`],
+      [`Cells (Z=${stats.zstack})`, stats.cells ?? "Boundaries not loaded"],
+    ].forEach(([label, value]) => {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const description = document.createElement("dd");
+      description.textContent = value;
+      details.append(term, description);
+    });
+
+    const table = document.getElementById("roi-stats-table");
+    table.innerHTML = "";
+    const header = table.createTHead().insertRow();
+    ["Gene", `Z=${stats.zstack}`, "All layers", `Per ${stats.unit}²`].forEach((label) => {
+      const cell = document.createElement("th");
+      cell.textContent = label;
+      header.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    if (stats.genes.length === 0) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = 4;
+      cell.textContent = "No genes selected";
+    }
+    stats.genes.forEach((gene) => {
+      const row = body.insertRow();
+      [
+        gene.name,
+        gene.layerCount.toLocaleString(),
+        gene.totalCount.toLocaleString(),
+        gene.density.toPrecision(3),
+      ].forEach((value) => {
+        row.insertCell().textContent = value;
+      });
+    });
+
+    panel.style.display = "block";
+  }
+}
+
+// Create a singleton instance
+export const roiStats = new ROIStats();
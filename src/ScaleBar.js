@@ -0,0 +1,95 @@
+/**
+ * ScaleBar.js
+ * On-canvas scale bar for the 2D view, resized with the orthographic zoom,
+ * in µm using the pixel size of the current variant, in pixels when it has none
+ */
+
+import { store } from "./store.js";
+import { config } from "./config.js";
+
+// Preferred on-screen length of the scale bar in CSS pixels
+const TARGET_WIDTH_PX = 120;
+
+export class ScaleBar {
+  constructor() {
+    this.sceneManager = null;
+    this.panelInitialized = false;
+  }
+
+  /**
+   * Attach the scale bar to the view of the application
+   * @param {MERFISHApp} app
+   */
+  initialize(app) {
+    if (this.sceneManager !== app.sceneManager) {
+      this.sceneManager = app.sceneManager;
+
+      // Every pan and zoom goes through the controls
+      this.sceneManager.controls.addEventListener("change", () => this.update());
+    }
+
+    if (!this.panelInitialized) {
+      this.panelInitialized = true;
+      window.addEventListener("resize", () => this.update());
+      store.subscribe("viewMode", () => this.update());
+      store.subscribe("showScaleBar", () => this.update());
+    }
+    this.update();
+  }
+
+  /**
+   * Resize the bar to a round length for the current zoom, hidden in the 3D view
+   */
+  update() {
+    const element = document.getElementById("scale-bar");
+    if (!element || !this.sceneManager) return;
+
+    const camera = this.sceneManager.camera;
+    const canvas = this.sceneManager.renderer.domElement;
+    if (!store.get("showScaleBar") || camera.isPerspectiveCamera || !canvas.clientWidth) {
+      element.style.display = "none";
+      return;
+    }
+
+    // µm per CSS pixel
+    const viewWidth = (camera.right - camera.left) / camera.zoom;
+    const micronsPerPixel = (viewWidth * config.dataPaths.getPixelSize()) / canvas.clientWidth;
+
+    const length = getNiceLength(TARGET_WIDTH_PX * micronsPerPixel);
+    document.getElementById("scale-bar-line").style.width = `${length / micronsPerPixel}px`;
+    document.getElementById("scale-bar-label").textContent = formatLength(
+      length,
+      config.dataPaths.getLengthUnit()
+    );
+    element.style.display = "flex";
+  }
+}
+
+/**
+ * Round a length down to 1, 2 or 5 times a power of ten
+ * @param {number} length
+ * @returns {number}
+ */
+export function getNiceLength(length) {
+  const power = Math.pow(10, Math.floor(Math.log10(length)));
+  const leading = length / power;
+  const nice = leading >= 5 ? 5 : leading >= 2 ? 2 : 1;
+  return Number((nice * power).toPrecision(1));
+}
+
+/**
+ * Format a length in µm, switching to mm from 1000 µm, or in pixels for uncalibrated variants
+ * @param {number} length - Length in µm, or pixels
+ * @param {string} [unit="µm"] - Unit from config.dataPaths.getLengthUnit()
+ * @param {number|null} [digits=null] - Decimals in µm or pixels (2 more in mm), null to keep the value as is
+ * @returns {string}
+ */
+export function formatLength(length, unit = "µm", digits = null) {
+  const format = (value, extraDigits = 0) =>
+    digits === null ? `${value}` : value.toFixed(digits + extraDigits);
+  if (unit !== "µm") return `${format(length)} ${unit}`;
+  return length >= 1000 ? `${format(length / 1000, 2)} mm` : `${format(length)} µm`;
+}
+
+// Create a singleton instance
+export const scaleBar = new ScaleBar();
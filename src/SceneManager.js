@@ -10,11 +10,18 @@ import Stats from "three/examples/jsm/libs/stats.module.js";
 import { store } from "./store.js";
 import { config } from "./config.js";
 
+// Pointer movement in pixels up to which a press and release count as a click rather than a drag
+const CLICK_TOLERANCE_PX = 4;
+
 export class SceneManager {
   constructor(containerId) {
     this.container = document.getElementById(containerId);
     this.scene = null;
     this.camera = null;
+    this.orthographicCamera = null; // 2D view camera
+    this.perspectiveCamera = null; // 3D view camera, created on first use
+    this.savedView2D = null; // 2D camera state to return to from the 3D view
+    this.flight = null; // Camera animation in progress, stepped in animate()
     this.renderer = null;
     this.controls = null;
     this.stats = null;
@@ -36,6 +43,7 @@ export class SceneManager {
     this.mouse = new THREE.Vector2();
     this.raycaster = new THREE.Raycaster();
     this.hoveredPoint = null;
+    this.clickListeners = [];
     this.lastCameraPosition = new THREE.Vector3();
 
     // Disable raycaster on mobile devices
@@ -97,6 +105,10 @@ export class SceneManager {
       // Handle window resize
       window.addEventListener("resize", () => this.onWindowResize());
 
+      // Switch cameras between the 2D and 3D views
+      store.subscribe("viewMode", (mode) => this.setViewMode(mode));
+      this.setViewMode(store.get("viewMode"));
+
       // console.log('SceneManager initialized');
       return true;
     } catch (error) {
@@ -140,6 +152,7 @@ export class SceneManager {
     // console.log(`Camera looking at: (${centerX.toFixed(2)}, ${centerY.toFixed(2)}, 0)`);
     this.camera.position.set(centerX, centerY, 5000);
     this.camera.lookAt(centerX, centerY, 0);
+    this.orthographicCamera = this.camera;
 
     // Store the initial camera distance in the store
     store.set("cameraDistance", 5000);
@@ -164,6 +177,56 @@ export class SceneManager {
       this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
       this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     });
+
+    // Tell clicks from the drags that pan or rotate the camera
+    let pointerDown = null;
+    this.renderer.domElement.addEventListener("pointerdown", (event) => {
+      pointerDown = event.button === 0 ? { x: event.clientX, y: event.clientY } : null;
+    });
+    this.renderer.domElement.addEventListener("pointerup", (event) => {
+      if (!pointerDown || event.button !== 0) return;
+      const moved = Math.hypot(
+        event.clientX - pointerDown.x,
+        event.clientY - pointerDown.y
+      );
+      pointerDown = null;
+      if (moved <= CLICK_TOLERANCE_PX) {
+        this.clickListeners.forEach((callback) => callback(event));
+      }
+    });
+  }
+
+  /**
+   * Register a callback for clicks on the canvas, drags are not reported
+   * @param {function(PointerEvent)} callback - Called with the pointerup event
+   */
+  addClickListener(callback) {
+    this.clickListeners.push(callback);
+  }
+
+  /**
+   * Convert a screen position to data coordinates on the plane of the current layer
+   * @param {number} clientX - Horizontal position in the window
+   * @param {number} clientY - Vertical position in the window
+   * @returns {{x: number, y: number}|null} Null when the view ray misses the plane
+   */
+  screenToData(clientX, clientY) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    // A separate raycaster, the hover one has its thresholds tuned per frame
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, this.camera);
+
+    const depth = this.camera.isPerspectiveCamera
+      ? store.get("zstack") * config.dataPaths.getZStep()
+      : 0;
+    const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -depth);
+    const hit = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    return hit ? { x: hit.x, y: hit.y } : null;
   }
 
   /**
@@ -175,6 +238,11 @@ export class SceneManager {
     this.controls.enableDamping = false;
     this.controls.screenSpacePanning = true;
 
+    // Panning or zooming takes over from a camera animation
+    this.controls.addEventListener("start", () => {
+      this.flight = null;
+    });
+
     // Set target to center of data
     const centerX = (this.dataBounds.minX + this.dataBounds.maxX) / 2;
     const centerY = (this.dataBounds.minY + this.dataBounds.maxY) / 2;
@@ -230,6 +298,9 @@ export class SceneManager {
     requestAnimationFrame(() => this.animate());
 
     try {
+      // Move the camera along an animation from flyTo()
+      if (this.flight) this.stepFlight();
+
       // Update controls
       this.controls.update();
 
@@ -340,22 +411,111 @@ export class SceneManager {
     const width = this.container.clientWidth;
     const height = this.container.clientHeight;
 
-    this.camera.left = -width / 2;
-    this.camera.right = width / 2;
-    this.camera.top = height / 2;
-    this.camera.bottom = -height / 2;
+    // Keep both cameras in shape, the 2D one is restored when leaving the 3D view
+    this.orthographicCamera.left = -width / 2;
+    this.orthographicCamera.right = width / 2;
+    this.orthographicCamera.top = height / 2;
+    this.orthographicCamera.bottom = -height / 2;
+    this.orthographicCamera.updateProjectionMatrix();
+
+    if (this.perspectiveCamera) {
+      this.perspectiveCamera.aspect = width / height;
+      this.perspectiveCamera.updateProjectionMatrix();
+    }
 
-    this.camera.updateProjectionMatrix();
     this.renderer.setSize(width, height);
   }
 
+  /**
+   * Switch between the locked top-down 2D view and the rotatable 3D view
+   * @param {string} mode - "2d" or "3d"
+   */
+  setViewMode(mode) {
+    const is3D = mode === "3d";
+    if (!this.camera || is3D === this.camera.isPerspectiveCamera) return;
+
+    if (is3D) {
+      this.savedView2D = this.getCameraState();
+      this.camera = this.createPerspectiveView();
+    } else {
+      this.camera = this.orthographicCamera;
+    }
+
+    this.controls.object = this.camera;
+    this.controls.enableRotate = is3D;
+    this.controls.mouseButtons = is3D
+      ? {
+          LEFT: THREE.MOUSE.ROTATE, // Orbit around the target
+          MIDDLE: THREE.MOUSE.DOLLY,
+          RIGHT: THREE.MOUSE.PAN,
+        }
+      : {
+          LEFT: THREE.MOUSE.PAN,
+          MIDDLE: THREE.MOUSE.DOLLY,
+          RIGHT: THREE.MOUSE.ROTATE,
+        };
+
+    if (is3D) {
+      this.controls.update();
+    } else if (this.savedView2D) {
+      // The orthographic camera was not moved while in 3D, only the shared target was
+      this.setCameraState(this.savedView2D);
+      this.savedView2D = null;
+    }
+
+    this.hideTooltip();
+  }
+
+  /**
+   * Place the perspective camera so it frames what the 2D view showed, tilted to reveal depth
+   * @returns {THREE.PerspectiveCamera} The perspective camera
+   */
+  createPerspectiveView() {
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+    const fov = 45;
+
+    if (!this.perspectiveCamera) {
+      this.perspectiveCamera = new THREE.PerspectiveCamera(fov, width / height);
+    }
+    const camera = this.perspectiveCamera;
+
+    // Distance at which the perspective frustum is as tall as the orthographic view
+    const ortho = this.orthographicCamera;
+    const visibleHeight = (ortho.top - ortho.bottom) / ortho.zoom;
+    const distance = visibleHeight / 2 / Math.tan(THREE.MathUtils.degToRad(fov / 2));
+
+    // Orbit around the current layer
+    const targetZ = store.get("zstack") * config.dataPaths.getZStep();
+    this.controls.target.set(this.controls.target.x, this.controls.target.y, targetZ);
+
+    const tilt = THREE.MathUtils.degToRad(35);
+    camera.position.set(
+      this.controls.target.x,
+      this.controls.target.y - distance * Math.sin(tilt),
+      targetZ + distance * Math.cos(tilt)
+    );
+    camera.near = Math.max(0.01, distance / 1000);
+    camera.far = distance * 100;
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    camera.lookAt(this.controls.target);
+
+    return camera;
+  }
+
   /**
    * Check for intersections between the raycaster and the active spatial geometry
    * Disabled on mobile devices
    */
   checkIntersections() {
-    // Skip if no active spatial geometry is set or if raycaster is disabled (mobile)
-    if (!this.activeSpatialGeometry || !this.raycasterEnabled) {
+    // Skip if no active spatial geometry is set, if raycaster is disabled (mobile)
+    // or in the 3D view, where fills are hidden
+    if (
+      !this.activeSpatialGeometry ||
+      !this.raycasterEnabled ||
+      this.camera.isPerspectiveCamera
+    ) {
       if (this.hoveredPoint) {
         this.hoveredPoint = null;
         this.hideTooltip();
@@ -467,7 +627,7 @@ export class SceneManager {
           object.geometry.attributes.clusterId.array[intersection.face.a];
 
         // Look up the cluster using the cell ID
-        const clusters = store.get("clusters");
+        const clusters = store.get("clusters") || {};
         const cluster = clusters[cellId];
 
         // If we have a valid cluster, show the tooltip
@@ -557,8 +717,8 @@ export class SceneManager {
       // }
 
       // Get the color for this cluster from the palette
-      // First try the palette passed to setActiveSpatialGeometry, then fall back to store
-      const palette = this.pallete || store.get("palette") || {};
+      // The store has the clusters recolored in the legend, fall back to the palette passed to setActiveSpatialGeometry
+      const palette = store.get("palette") || this.pallete || {};
       const clusterColor = palette[clusterValue] || "#CCCCCC";
 
       // Set the tooltip content
@@ -717,6 +877,87 @@ export class SceneManager {
     }
   }
 
+  /**
+   * Get the current camera view, the 2D view to return to while in the 3D view
+   * @returns {{x: number, y: number, zoom: number}} Controls target and camera zoom
+   */
+  getCameraState() {
+    if (this.savedView2D) return { ...this.savedView2D };
+    return {
+      x: this.controls.target.x,
+      y: this.controls.target.y,
+      zoom: this.camera.zoom,
+    };
+  }
+
+  /**
+   * Move the camera to a view returned by getCameraState()
+   * @param {{x: number, y: number, zoom: number}} state - Target and zoom to apply
+   */
+  setCameraState({ x, y, zoom }) {
+    if (!this.camera || !this.controls) return;
+    this.flight = null;
+
+    // In the 3D view, keep the orbit and move it over the same point
+    if (this.camera.isPerspectiveCamera) {
+      this.savedView2D = { x, y, zoom };
+      const offset = this.camera.position.clone().sub(this.controls.target);
+      this.controls.target.set(x, y, this.controls.target.z);
+      this.camera.position.copy(this.controls.target).add(offset);
+      this.controls.update();
+      return;
+    }
+
+    this.camera.position.set(x, y, this.camera.position.z);
+    this.controls.target.set(x, y, 0);
+    this.camera.zoom = zoom;
+    this.camera.updateProjectionMatrix();
+    this.controls.update();
+  }
+
+  /**
+   * Animate the 2D camera to a view returned by getCameraState(), jumping there in the 3D view
+   * @param {{x: number, y: number, zoom: number}} state - Target and zoom to move to
+   * @param {number} [duration=800] - Length of the animation in milliseconds
+   */
+  flyTo(state, duration = 800) {
+    if (!this.camera || !this.controls) return;
+    if (this.camera.isPerspectiveCamera || duration <= 0) {
+      this.setCameraState(state);
+      return;
+    }
+
+    this.flight = {
+      from: this.getCameraState(),
+      to: { ...state },
+      start: performance.now(),
+      duration,
+    };
+  }
+
+  /**
+   * Apply the camera position of the current frame of a flyTo() animation
+   */
+  stepFlight() {
+    const { from, to, start, duration } = this.flight;
+    const t = Math.min(1, (performance.now() - start) / duration);
+
+    // Ended by switching to the 3D view, or at the last frame
+    if (this.camera.isPerspectiveCamera || t >= 1) {
+      this.setCameraState(to);
+      return;
+    }
+
+    // Ease in and out, zooming at a constant rate on the log scale
+    const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    const x = from.x + (to.x - from.x) * eased;
+    const y = from.y + (to.y - from.y) * eased;
+    this.camera.position.set(x, y, this.camera.position.z);
+    this.controls.target.set(x, y, 0);
+    this.camera.zoom = from.zoom * Math.pow(to.zoom / from.zoom, eased);
+    this.camera.updateProjectionMatrix();
+  }
+
   /**
    * Get the scene object
    * @returns {THREE.Scene} The Three.js scene
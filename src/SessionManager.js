@@ -0,0 +1,402 @@
+/**
+ * SessionManager.js
+ * Saves named snapshots of the view (genes, z-stack, boundaries, transforms, camera)
+ * to localStorage and exports/imports them as JSON files
+ */
+
+import { store } from "./store.js";
+import { config } from "./config.js";
+
+// localStorage key holding all saved sessions
+const STORAGE_KEY = "merfisheyes.sessions";
+
+// Bumped when the snapshot format changes
+const SESSION_VERSION = 1;
+
+// Gene keys, applied before the rest so newly selected genes pick up their colors on load
+const GENE_KEYS = [
+  "geneColors",
+  "geneCustomizations",
+  "visibleGenes",
+  "selectedGenes",
+];
+
+// Store keys captured in a session
+const SESSION_KEYS = [
+  "selectedGenes",
+  "visibleGenes",
+  "geneColors",
+  "geneCustomizations",
+  "pointSize",
+  "zstack",
+  "projectionRange",
+  "projectionStyle",
+  "projectionMode",
+  "viewMode",
+  "showCellBoundaries",
+  "boundaryOpacity",
+  "innerColoring",
+  "innerColoringOpacity",
+  "fillMode",
+  "fillGene",
+  "fillNormalize",
+  "fillColormap",
+  "hiddenClusters",
+  "transcriptClusterFilter",
+  "rois",
+  "showCellNuclei",
+  "nucleiOpacity",
+  "showScaleBar",
+  "showMinimap",
+  "geneFlipX",
+  "geneFlipY",
+  "geneSwapXY",
+  "boundaryFlipX",
+  "boundaryFlipY",
+  "boundarySwapXY",
+];
+
+export class SessionManager {
+  constructor() {
+    this.app = null;
+    this.panelInitialized = false;
+  }
+
+  /**
+   * Attach the session manager to the application and set up the Sessions panel
+   * @param {MERFISHApp} app - Application whose scene and UI sessions are applied to
+   */
+  initialize(app) {
+    this.app = app;
+
+    if (!this.panelInitialized) {
+      this.panelInitialized = true;
+      this.initializePanel();
+    }
+    this.renderSessionList();
+  }
+
+  /**
+   * Capture the current view as a session
+   * @param {string} name - Name of the session
+   * @returns {Object} Session snapshot
+   */
+  snapshot(name) {
+    const state = {};
+    SESSION_KEYS.forEach((key) => {
+      const value = store.get(key);
+      // Deep copy so later in-place store mutations don't leak into the snapshot
+      if (value !== undefined) state[key] = JSON.parse(JSON.stringify(value));
+    });
+
+    return {
+      version: SESSION_VERSION,
+      name,
+      savedAt: new Date().toISOString(),
+      dataset: config.dataPaths.currentDataset,
+      variant: config.dataPaths.currentVariant,
+      state,
+      camera: this.app?.sceneManager
+        ? this.app.sceneManager.getCameraState()
+        : null,
+    };
+  }
+
+  /**
+   * Read all saved sessions from localStorage
+   * @returns {Object} Sessions keyed by name
+   */
+  readSessions() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error("Error reading saved sessions:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Write all sessions to localStorage
+   * @param {Object} sessions - Sessions keyed by name
+   * @returns {boolean} True if the sessions were stored
+   */
+  writeSessions(sessions) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled (e.g. private browsing)
+      console.error("Error saving sessions:", error);
+      alert("Could not save the session, browser storage is unavailable or full.");
+      return false;
+    }
+  }
+
+  /**
+   * Save the current view under a name, replacing a session with the same name
+   * @param {string} name - Name of the session
+   */
+  saveSession(name) {
+    const sessions = this.readSessions();
+    sessions[name] = this.snapshot(name);
+    if (this.writeSessions(sessions)) {
+      this.renderSessionList();
+    }
+  }
+
+  /**
+   * Delete a saved session
+   * @param {string} name - Name of the session
+   */
+  deleteSession(name) {
+    const sessions = this.readSessions();
+    delete sessions[name];
+    this.writeSessions(sessions);
+    this.renderSessionList();
+  }
+
+  /**
+   * Load a saved session by name
+   * @param {string} name - Name of the session
+   */
+  async loadSession(name) {
+    const session = this.readSessions()[name];
+    if (!session) {
+      console.error(`Session not found: ${name}`);
+      return;
+    }
+    await this.applySession(session);
+  }
+
+  /**
+   * Apply a session snapshot to the store, camera and UI
+   * @param {Object} session - Session snapshot
+   */
+  async applySession(session) {
+    if (!this.isValidSession(session)) {
+      console.error("Invalid session:", session);
+      return;
+    }
+
+    // Switch data first so the restored genes are loaded from the right variant
+    const { currentDataset, currentVariant } = config.dataPaths;
+    if (
+      this.app &&
+      session.dataset &&
+      (session.dataset !== currentDataset || session.variant !== currentVariant)
+    ) {
+      await this.app.uiManager.switchDataset(
+        session.dataset,
+        session.variant || null,
+        document.getElementById("dataset-variant-select")
+      );
+    }
+
+    const state = JSON.parse(JSON.stringify(session.state));
+
+    GENE_KEYS.filter((key) => key in state).forEach((key) =>
+      store.set(key, state[key])
+    );
+
+    if ("zstack" in state) {
+      store.set("zstackImmediate", state.zstack);
+    }
+
+    SESSION_KEYS.filter(
+      (key) => key in state && !GENE_KEYS.includes(key)
+    ).forEach((key) => store.set(key, state[key]));
+
+    if (this.app) {
+      if (session.camera && this.app.sceneManager) {
+        this.app.sceneManager.setCameraState(session.camera);
+      }
+
+      // Rebuild the gene selector and active genes list from the restored store
+      this.app.geneUIManager.syncWithStore();
+    }
+
+    store.set("forceRender", true);
+  }
+
+  /**
+   * Check that an object looks like a session snapshot
+   * @param {Object} session - Candidate session
+   * @returns {boolean}
+   */
+  isValidSession(session) {
+    return (
+      !!session &&
+      typeof session.name === "string" &&
+      session.name.length > 0 &&
+      !!session.state &&
+      typeof session.state === "object"
+    );
+  }
+
+  /**
+   * Download a saved session as a JSON file
+   * @param {string} name - Name of the session
+   */
+  exportSession(name) {
+    const session = this.readSessions()[name];
+    if (!session) return;
+
+    const blob = new Blob([JSON.stringify(session, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${name.replace(/[^\w.-]+/g, "_")}.session.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Import sessions from a JSON file containing one session or an array of sessions
+   * @param {File} file - The file picked by the user
+   */
+  async importSessions(file) {
+    try {
+      const parsed = JSON.parse(await file.text());
+      const imported = (Array.isArray(parsed) ? parsed : [parsed]).filter(
+        (session) => this.isValidSession(session)
+      );
+
+      if (imported.length === 0) {
+        throw new Error("No valid sessions found");
+      }
+
+      const sessions = this.readSessions();
+      imported.forEach((session) => {
+        sessions[session.name] = session;
+      });
+      if (this.writeSessions(sessions)) {
+        this.renderSessionList();
+      }
+    } catch (error) {
+      console.error("Error importing sessions:", error);
+      alert(`Could not import sessions from ${file.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bind the Sessions panel controls
+   */
+  initializePanel() {
+    const nameInput = document.getElementById("session-name-input");
+    const saveButton = document.getElementById("session-save-btn");
+    const importButton = document.getElementById("session-import-btn");
+    const importInput = document.getElementById("session-import-input");
+    const sessionList = document.getElementById("session-list");
+
+    if (saveButton && nameInput) {
+      const save = () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+          nameInput.focus();
+          return;
+        }
+        this.saveSession(name);
+        nameInput.value = "";
+      };
+      saveButton.addEventListener("click", save);
+      nameInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") save();
+      });
+    }
+
+    if (importButton && importInput) {
+      importButton.addEventListener("click", () => importInput.click());
+      importInput.addEventListener("change", async () => {
+        const file = importInput.files[0];
+        if (file) await this.importSessions(file);
+        // Allow importing the same file again
+        importInput.value = "";
+      });
+    }
+
+    // One listener for all rows, the list is re-rendered on every change
+    if (sessionList) {
+      sessionList.addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-action]");
+        if (!button) return;
+
+        const name = button.closest(".session-item").getAttribute("data-session");
+        const action = button.getAttribute("data-action");
+        if (action === "load") {
+          this.loadSession(name);
+        } else if (action === "export") {
+          this.exportSession(name);
+        } else if (action === "delete" && confirm(`Delete session "${name}"?`)) {
+          this.deleteSession(name);
+        }
+      });
+    }
+  }
+
+  /**
+   * Render the list of saved sessions, newest first
+   */
+  renderSessionList() {
+    const sessionList = document.getElementById("session-list");
+    if (!sessionList) return;
+
+    sessionList.innerHTML = "";
+    const sessions = Object.values(this.readSessions()).sort((a, b) =>
+      (b.savedAt || "").localeCompare(a.savedAt || "")
+    );
+
+    if (sessions.length === 0) {
+      const emptyMessage = document.createElement("div");
+      emptyMessage.className = "empty-message text-sm font-medium";
+      emptyMessage.textContent = "No saved sessions";
+      sessionList.appendChild(emptyMessage);
+      return;
+    }
+
+    sessions.forEach((session) => {
+      const item = document.createElement("div");
+      item.className = "session-item";
+      item.setAttribute("data-session", session.name);
+
+      const info = document.createElement("div");
+      info.className = "session-info";
+
+      const name = document.createElement("div");
+      name.className = "session-name font-medium";
+      name.textContent = session.name;
+
+      const details = document.createElement("div");
+      details.className = "session-details";
+      const savedAt = session.savedAt ? new Date(session.savedAt).toLocaleString() : "";
+      details.textContent = [session.dataset, session.variant, savedAt]
+        .filter(Boolean)
+        .join(" · ");
+
+      info.appendChild(name);
+      info.appendChild(details);
+      item.appendChild(info);
+
+      [
+        ["load", "Load", "Load session"],
+        ["export", "Export", "Download as JSON"],
+        ["delete", "×", "Delete session"],
+      ].forEach(([action, label, title]) => {
+        const button = document.createElement("button");
+        button.className = "text-sm";
+        button.setAttribute("data-action", action);
+        button.title = title;
+        button.textContent = label;
+        item.appendChild(button);
+      });
+
+      sessionList.appendChild(item);
+    });
+  }
+}
+
+// Create a singleton instance
+export const sessionManager = new SessionManager();
@@ -5,6 +5,8 @@
 
 import { store } from './store.js';
 import { config } from './config.js';
+import { centerZRange, getZRangeCenter } from './utils.js';
+import { COLORMAPS } from './colormaps.js';
 
 export class UIManager {
     constructor() {
@@ -57,18 +59,17 @@ export class UIManager {
     }
     
     /**
-     * Initialize the dataset variant dropdown
+     * Initialize the dataset and variant dropdowns
      */
     initializeVariantDropdown() {
+        const datasetSelect = document.getElementById('dataset-select');
         const variantSelect = document.getElementById('dataset-variant-select');
         
-        // Check URL for data parameter
-        const urlParams = new URLSearchParams(window.location.search);
-        const dataParam = urlParams.get('data');
-        
         if (variantSelect) {
-            // Populate the dropdown when the app is ready
+            // Populate the dropdowns when the app is ready
             const populateDropdown = () => {
+                this.populateDatasetDropdown(datasetSelect);
+
                 if (window.merfishApp && window.merfishApp.populateVariantDropdown) {
                     window.merfishApp.populateVariantDropdown(variantSelect);
                 } else if (window.populateVariantDropdown) {
@@ -76,51 +77,67 @@ export class UIManager {
                 } else {
                     console.warn('No populateVariantDropdown function found');
                 }
-                
-                // If data parameter exists in URL, set it as the selected variant
-                if (dataParam) {
-                    // Set the dropdown value if it exists in the options
-                    const optionExists = Array.from(variantSelect.options).some(option => option.value === dataParam);
-                    if (optionExists) {
-                        variantSelect.value = dataParam;
-                        
-                        // Update config and trigger change
-                        if (config && config.dataPaths) {
-                            config.dataPaths.setVariant(dataParam);
-                        }
-                        
-                        // Call the appropriate handler function
-                        setTimeout(() => {
-                            if (window.merfishApp && window.merfishApp.handleDatasetVariantChange) {
-                                window.merfishApp.handleDatasetVariantChange();
-                            } else if (window.handleDatasetVariantChange) {
-                                window.handleDatasetVariantChange();
-                            }
-                        }, 100);
-                    }
-                }
             };
             
-            // Try to populate now, or wait for app initialization
+            // Try to populate once the dataset registry is loaded, or wait for app initialization
             if (window.merfishApp || window.populateVariantDropdown) {
-                populateDropdown();
+                config.dataPaths.loadDatasetRegistry().then(populateDropdown);
             } else {
                 console.warn('MERFISHApp not initialized yet, variant dropdown will be populated later');
                 // Add a listener to populate when the app is ready
                 window.addEventListener('merfishAppReady', populateDropdown);
             }
             
-            // Add change event listener
+            // Switch dataset in place, keeping the current selection where possible
+            if (datasetSelect) {
+                datasetSelect.addEventListener('change', () => {
+                    this.switchDataset(datasetSelect.value, null, variantSelect);
+                });
+            }
+
+            // Switch variant in place
             variantSelect.addEventListener('change', () => {
-                const selectedVariant = variantSelect.value;
-                
-                // Update URL with the selected variant and refresh the page
-                const url = new URL(window.location);
-                url.searchParams.set('data', selectedVariant);
-                window.location.href = url.toString(); // This will refresh the page
+                this.switchDataset(config.dataPaths.currentDataset, variantSelect.value, variantSelect);
             });
         }
     }
+
+    /**
+     * Populate the dataset dropdown from the dataset registry
+     * @param {HTMLSelectElement} datasetSelect - The select element to populate
+     */
+    populateDatasetDropdown(datasetSelect) {
+        if (!datasetSelect) return;
+
+        const datasetIds = config.dataPaths.getDatasetIds();
+        datasetSelect.innerHTML = '';
+        datasetIds.forEach(datasetId => {
+            const option = document.createElement('option');
+            option.value = datasetId;
+            option.textContent = datasetId;
+            datasetSelect.appendChild(option);
+        });
+        datasetSelect.value = config.dataPaths.currentDataset;
+
+        // Only show the dataset picker when there is something to pick
+        datasetSelect.style.display = datasetIds.length > 1 ? '' : 'none';
+    }
+
+    /**
+     * Switch to another dataset/variant without reloading the page
+     * @param {string} datasetId - Dataset to switch to
+     * @param {string|null} variantId - Variant to switch to, or null for the dataset's first variant
+     * @param {HTMLSelectElement} variantSelect - The variant select element to refresh
+     */
+    async switchDataset(datasetId, variantId, variantSelect) {
+        if (!window.merfishApp) return;
+
+        await window.merfishApp.switchDataset(datasetId, variantId);
+
+        // Refresh the dropdowns, the variant list depends on the dataset
+        this.populateDatasetDropdown(document.getElementById('dataset-select'));
+        window.merfishApp.populateVariantDropdown(variantSelect);
+    }
     
     /**
      * Initialize the Z-Stack slider
@@ -197,9 +214,176 @@ export class UIManager {
                     store.set('zstack', val);
                 }
             });
+
+            // Follow z-stack changes made elsewhere (e.g. restored from a link)
+            store.subscribe('zstack', (val) => {
+                if (parseInt(zstackSliderBottom.value, 10) !== val) {
+                    clearTimeout(zstackUpdateTimeout);
+                    lastZstackValue = val;
+                    zstackSliderBottom.value = val;
+                    zstackValueBottom.textContent = val;
+                }
+            });
         }
     }
     
+    /**
+     * Initialize the projection mode toggle, z-range inputs and style selector next to the z-stack slider
+     */
+    initializeProjectionControls() {
+        const toggle = document.getElementById('projection-mode-toggle');
+        const rangeControls = document.getElementById('projection-range-controls');
+        const minInput = document.getElementById('projection-min-input');
+        const maxInput = document.getElementById('projection-max-input');
+        const styleSelect = document.getElementById('projection-style-select');
+        
+        if (!toggle || !rangeControls || !minInput || !maxInput || !styleSelect) return;
+        
+        // Reflect the store in the controls, also after restoring a link or session
+        const updateControls = () => {
+            const enabled = !!store.get('projectionMode');
+            const range = store.get('projectionRange');
+            toggle.checked = enabled;
+            rangeControls.style.display = enabled ? 'flex' : 'none';
+            if (range) {
+                minInput.value = range.min;
+                maxInput.value = range.max;
+            }
+            styleSelect.value = store.get('projectionStyle');
+        };
+        
+        // Boundaries and the slider follow the center layer of the range
+        const moveZStackToCenter = (range) => {
+            const center = getZRangeCenter(range);
+            if (store.get('zstack') !== center) {
+                store.set('zstackImmediate', center);
+                store.set('zstack', center);
+            }
+        };
+        
+        toggle.addEventListener('change', () => {
+            if (toggle.checked) {
+                const zstack = store.get('zstack');
+                const depth = config.visualization.defaultProjectionDepth;
+                const range = store.get('projectionRange')
+                    ? centerZRange(store.get('projectionRange'), zstack)
+                    : {
+                        min: Math.max(config.dataPaths.getMinLayer(), zstack - depth),
+                        max: Math.min(config.dataPaths.getMaxLayer(), zstack + depth)
+                    };
+                store.set('projectionRange', range);
+                store.set('projectionMode', true);
+                moveZStackToCenter(range);
+            } else {
+                store.set('projectionMode', false);
+            }
+        });
+        
+        const applyRangeInputs = () => {
+            const minLayer = config.dataPaths.getMinLayer();
+            const maxLayer = config.dataPaths.getMaxLayer();
+            const clamp = (value) => Math.max(minLayer, Math.min(value, maxLayer));
+            
+            let min = parseInt(minInput.value, 10);
+            let max = parseInt(maxInput.value, 10);
+            if (isNaN(min) || isNaN(max)) {
+                updateControls();
+                return;
+            }
+            [min, max] = [clamp(Math.min(min, max)), clamp(Math.max(min, max))];
+            
+            const range = { min, max };
+            store.set('projectionRange', range);
+            moveZStackToCenter(range);
+        };
+        minInput.addEventListener('change', applyRangeInputs);
+        maxInput.addEventListener('change', applyRangeInputs);
+        
+        styleSelect.addEventListener('change', () => {
+            store.set('projectionStyle', styleSelect.value);
+        });
+        
+        // Moving the z-stack slider moves the whole range
+        store.subscribe('zstack', (zstack) => {
+            const range = store.get('projectionRange');
+            if (!store.get('projectionMode') || !range) return;
+            if (getZRangeCenter(range) !== zstack) {
+                store.set('projectionRange', centerZRange(range, zstack));
+            }
+        });
+        
+        store.subscribe('projectionMode', updateControls);
+        store.subscribe('projectionRange', updateControls);
+        store.subscribe('projectionStyle', updateControls);
+        updateControls();
+    }
+    
+    /**
+     * Initialize the cell fill mode, gene and colormap selectors in the display options
+     */
+    initializeFillControls() {
+        const modeSelect = document.getElementById('fill-mode-select');
+        const expressionControls = document.getElementById('fill-expression-controls');
+        const geneSelect = document.getElementById('fill-gene-select');
+        const colormapSelect = document.getElementById('fill-colormap-select');
+        
+        if (!modeSelect || !expressionControls || !geneSelect || !colormapSelect) return;
+        
+        Object.keys(COLORMAPS).forEach(name => {
+            colormapSelect.appendChild(new Option(name.charAt(0).toUpperCase() + name.slice(1), name));
+        });
+        
+        // The selected genes, plus a fill gene restored from a link or session
+        const getGenes = () => {
+            const selectedGenes = store.get('selectedGenes') || {};
+            const genes = Object.keys(selectedGenes).filter(gene => selectedGenes[gene]);
+            const fillGene = store.get('fillGene');
+            if (fillGene && !genes.includes(fillGene)) genes.unshift(fillGene);
+            return genes;
+        };
+        
+        // Reflect the store in the controls, also after restoring a session
+        const updateControls = () => {
+            const expression = store.get('fillMode') === 'expression';
+            modeSelect.value = store.get('fillMode');
+            expressionControls.style.display = expression ? 'flex' : 'none';
+            colormapSelect.value = store.get('fillColormap');
+            
+            const genes = getGenes();
+            geneSelect.innerHTML = '';
+            if (genes.length === 0) {
+                geneSelect.appendChild(new Option('Select a gene first', ''));
+            }
+            genes.forEach(gene => geneSelect.appendChild(new Option(gene, gene)));
+            geneSelect.value = store.get('fillGene') || '';
+            
+            // Color by the first selected gene until another one is chosen
+            if (expression && !store.get('fillGene') && genes.length > 0) {
+                store.set('fillGene', genes[0]);
+            }
+        };
+        
+        modeSelect.addEventListener('change', () => {
+            // Fills are only built with inner coloring on
+            if (modeSelect.value === 'expression' && !store.get('innerColoring')) {
+                store.set('innerColoring', true);
+            }
+            store.set('fillMode', modeSelect.value);
+        });
+        geneSelect.addEventListener('change', () => {
+            store.set('fillGene', geneSelect.value || null);
+        });
+        colormapSelect.addEventListener('change', () => {
+            store.set('fillColormap', colormapSelect.value);
+        });
+        
+        store.subscribe('fillMode', updateControls);
+        store.subscribe('fillGene', updateControls);
+        store.subscribe('fillColormap', updateControls);
+        store.subscribe('selectedGenes', updateControls);
+        updateControls();
+    }
+    
     /**
      * Update the z-stack slider range based on the current dataset variant
      */
@@ -0,0 +1,287 @@
+/**
+ * URLStateManager.js
+ * Keeps the view state (genes, z-stack, boundaries, camera) in the URL hash
+ * so a link reopens the exact same view
+ */
+
+import { store } from "./store.js";
+import { POINT_SHAPES } from "./Layer.js";
+
+// Store keys that are mirrored into the URL hash
+const SYNCED_KEYS = [
+  "selectedGenes",
+  "visibleGenes",
+  "geneColors",
+  "geneCustomizations",
+  "zstack",
+  "showCellBoundaries",
+  "showCellNuclei",
+  "boundaryOpacity",
+  "nucleiOpacity",
+  "projectionMode",
+  "projectionRange",
+  "projectionStyle",
+  "viewMode",
+];
+
+// Delay before the hash is rewritten after a change, in milliseconds
+const WRITE_DELAY_MS = 250;
+
+export class URLStateManager {
+  constructor() {
+    this.sceneManager = null;
+    this.onCameraChange = () => this.scheduleWrite();
+    this.writeTimeout = null;
+    this.subscribed = false;
+
+    // Camera state read from the hash, applied once the scene exists
+    this.pendingCamera = null;
+
+    // Called after the state was restored from an edited hash
+    this.onExternalRestore = null;
+  }
+
+  /**
+   * Restore store values from the URL hash
+   * Call before the scene and loaders are created so they start from the restored state
+   * @returns {boolean} True if the hash contained view state
+   */
+  restore() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if ([...params.keys()].length === 0) return false;
+
+    if (params.has("genes")) {
+      const genes = this.parseList(params.get("genes"));
+      const hidden = new Set(this.parseList(params.get("hidden")));
+      const selectedGenes = {};
+      const visibleGenes = {};
+      genes.forEach((gene) => {
+        selectedGenes[gene] = true;
+        visibleGenes[gene] = !hidden.has(gene);
+      });
+
+      const geneColors = { ...(store.get("geneColors") || {}) };
+      this.parsePairs(params.get("colors")).forEach(([gene, color]) => {
+        if (/^[0-9a-f]{6}$/i.test(color)) geneColors[gene] = `#${color}`;
+      });
+
+      const geneCustomizations = { ...(store.get("geneCustomizations") || {}) };
+      this.parsePairs(params.get("scales")).forEach(([gene, value]) => {
+        const scale = parseFloat(value);
+        if (!isNaN(scale) && scale > 0) {
+          geneCustomizations[gene] = { ...geneCustomizations[gene], scale };
+        }
+      });
+      this.parsePairs(params.get("shapes")).forEach(([gene, shape]) => {
+        if (POINT_SHAPES.includes(shape)) {
+          geneCustomizations[gene] = { ...geneCustomizations[gene], shape };
+        }
+      });
+
+      store.set("geneColors", geneColors);
+      store.set("geneCustomizations", geneCustomizations);
+      store.set("visibleGenes", visibleGenes);
+      store.set("selectedGenes", selectedGenes);
+    }
+
+    const zstack = parseInt(params.get("z"), 10);
+    if (!isNaN(zstack)) {
+      store.set("zstackImmediate", zstack);
+      store.set("zstack", zstack);
+    }
+
+    if (params.has("boundaries")) {
+      store.set("showCellBoundaries", params.get("boundaries") === "1");
+    }
+    if (params.has("nuclei")) {
+      store.set("showCellNuclei", params.get("nuclei") === "1");
+    }
+
+    this.restoreOpacity(params.get("boundaryOpacity"), "boundaryOpacity");
+    this.restoreOpacity(params.get("nucleiOpacity"), "nucleiOpacity");
+
+    // Projection range as "min-max", absent when projection mode is off
+    const projection = (params.get("projection") || "").match(/^(-?\d+)-(-?\d+)$/);
+    if (projection) {
+      const [min, max] = [parseInt(projection[1], 10), parseInt(projection[2], 10)];
+      if (params.get("projectionStyle") === "max" || params.get("projectionStyle") === "depth") {
+        store.set("projectionStyle", params.get("projectionStyle"));
+      }
+      store.set("projectionRange", { min: Math.min(min, max), max: Math.max(min, max) });
+      store.set("projectionMode", true);
+    } else {
+      store.set("projectionMode", false);
+    }
+
+    store.set("viewMode", params.get("view") === "3d" ? "3d" : "2d");
+
+    const camera = params.get("camera");
+    if (camera) {
+      const [x, y, zoom] = camera.split(",").map(parseFloat);
+      if ([x, y, zoom].every((value) => !isNaN(value)) && zoom > 0) {
+        this.pendingCamera = { x, y, zoom };
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Start mirroring the store and camera into the URL hash
+   * @param {SceneManager} sceneManager - Scene manager whose camera is tracked
+   */
+  start(sceneManager) {
+    // Track only the latest scene manager
+    if (this.sceneManager) {
+      this.sceneManager
+        .getControls()
+        .removeEventListener("change", this.onCameraChange);
+    }
+    this.sceneManager = sceneManager;
+
+    if (this.pendingCamera) {
+      sceneManager.setCameraState(this.pendingCamera);
+      this.pendingCamera = null;
+    }
+    sceneManager.getControls().addEventListener("change", this.onCameraChange);
+
+    if (!this.subscribed) {
+      this.subscribed = true;
+      SYNCED_KEYS.forEach((key) =>
+        store.subscribe(key, () => this.scheduleWrite())
+      );
+
+      // Follow links pasted into the address bar of an open tab
+      window.addEventListener("hashchange", () => {
+        if (window.location.hash.slice(1) === this.serialize()) return;
+        if (!this.restore()) {
+          this.write();
+          return;
+        }
+        if (this.pendingCamera && this.sceneManager) {
+          this.sceneManager.setCameraState(this.pendingCamera);
+          this.pendingCamera = null;
+        }
+        if (this.onExternalRestore) this.onExternalRestore();
+      });
+    }
+
+    this.write();
+  }
+
+  /**
+   * Serialize the current view state
+   * @returns {string} Hash contents without the leading '#'
+   */
+  serialize() {
+    const params = new URLSearchParams();
+    const selectedGenes = store.get("selectedGenes") || {};
+    const visibleGenes = store.get("visibleGenes") || {};
+    const geneColors = store.get("geneColors") || {};
+    const geneCustomizations = store.get("geneCustomizations") || {};
+
+    const genes = Object.keys(selectedGenes).filter((gene) => selectedGenes[gene]);
+    params.set("genes", genes.join(","));
+
+    const hidden = genes.filter((gene) => visibleGenes[gene] === false);
+    if (hidden.length > 0) params.set("hidden", hidden.join(","));
+
+    const colors = genes
+      .filter((gene) => geneColors[gene])
+      .map((gene) => `${gene}:${geneColors[gene].replace("#", "")}`);
+    if (colors.length > 0) params.set("colors", colors.join(","));
+
+    const scales = genes
+      .filter((gene) => {
+        const scale = geneCustomizations[gene]?.scale;
+        return scale !== undefined && scale !== 1;
+      })
+      .map((gene) => `${gene}:${geneCustomizations[gene].scale}`);
+    if (scales.length > 0) params.set("scales", scales.join(","));
+
+    const shapes = genes
+      .filter((gene) => {
+        const shape = geneCustomizations[gene]?.shape;
+        return shape !== undefined && shape !== "circle";
+      })
+      .map((gene) => `${gene}:${geneCustomizations[gene].shape}`);
+    if (shapes.length > 0) params.set("shapes", shapes.join(","));
+
+    params.set("z", store.get("zstack"));
+    params.set("boundaries", store.get("showCellBoundaries") ? "1" : "0");
+    params.set("nuclei", store.get("showCellNuclei") ? "1" : "0");
+    params.set("boundaryOpacity", store.get("boundaryOpacity"));
+    params.set("nucleiOpacity", store.get("nucleiOpacity"));
+
+    const projectionRange = store.get("projectionRange");
+    if (store.get("projectionMode") && projectionRange) {
+      params.set("projection", `${projectionRange.min}-${projectionRange.max}`);
+      params.set("projectionStyle", store.get("projectionStyle"));
+    }
+
+    if (store.get("viewMode") === "3d") params.set("view", "3d");
+
+    if (this.sceneManager) {
+      const { x, y, zoom } = this.sceneManager.getCameraState();
+      params.set("camera", `${x.toFixed(1)},${y.toFixed(1)},${zoom.toFixed(4)}`);
+    }
+
+    // Keep separators readable, URLSearchParams parses them either way
+    return params.toString().replace(/%2C/g, ",").replace(/%3A/g, ":");
+  }
+
+  /**
+   * Rewrite the hash after a short delay, coalescing bursts of changes
+   */
+  scheduleWrite() {
+    if (!this.sceneManager) return;
+    clearTimeout(this.writeTimeout);
+    this.writeTimeout = setTimeout(() => this.write(), WRITE_DELAY_MS);
+  }
+
+  /**
+   * Rewrite the hash without adding a history entry
+   */
+  write() {
+    const { pathname, search } = window.location;
+    history.replaceState(null, "", `${pathname}${search}#${this.serialize()}`);
+  }
+
+  /**
+   * Restore an opacity value if it is a number between 0 and 1
+   * @param {string|null} value - Raw value from the hash
+   * @param {string} key - Store key to set
+   */
+  restoreOpacity(value, key) {
+    const opacity = parseFloat(value);
+    if (!isNaN(opacity)) {
+      store.set(key, Math.max(0, Math.min(1, opacity)));
+    }
+  }
+
+  /**
+   * Split a comma separated list, dropping empty entries
+   * @param {string|null} value - Raw value from the hash
+   * @returns {string[]} List entries
+   */
+  parseList(value) {
+    return (value || "").split(",").filter((entry) => entry.length > 0);
+  }
+
+  /**
+   * Split a comma separated list of name:value pairs
+   * @param {string|null} value - Raw value from the hash
+   * @returns {Array<[string, string]>} Name/value pairs
+   */
+  parsePairs(value) {
+    return this.parseList(value)
+      .map((entry) => {
+        const separator = entry.lastIndexOf(":");
+        return [entry.slice(0, separator), entry.slice(separator + 1)];
+      })
+      .filter(([name]) => name.length > 0);
+  }
+}
+
+// Create a singleton instance
+export const urlStateManager = new URLStateManager();
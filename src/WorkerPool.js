@@ -0,0 +1,208 @@
+/**
+ * WorkerPool.js
+ * Runs fetch, decode and geometry buffer preparation (see dataProcessing.js) on a
+ * small pool of Web Workers so loading data does not block rendering or the UI.
+ * Falls back to running the same code on the main thread when workers are unavailable.
+ */
+
+import { config } from "./config.js";
+import { loadingIndicator } from "./LoadingIndicator.js";
+import { taskHandlers } from "./dataProcessing.js";
+
+export class WorkerPool {
+  /**
+   * Create a worker pool, workers are started on the first task
+   * @param {number} size - Maximum number of workers
+   */
+  constructor(size) {
+    this.size = Math.max(1, size);
+    this.workers = []; // { worker, pending } per worker
+    this.tasks = new Map(); // Task id to { type, payload, resolve, reject, onProgress, entry }
+    this.nextTaskId = 1;
+    this.context = {};
+    this.useWorkers = typeof Worker !== "undefined";
+  }
+
+  /**
+   * Start the workers if they are not running yet
+   * @private
+   */
+  startWorkers() {
+    if (!this.useWorkers || this.workers.length > 0) return;
+
+    try {
+      for (let i = 0; i < this.size; i++) {
+        const worker = new Worker(new URL("./dataWorker.js", import.meta.url), {
+          type: "module",
+        });
+        const entry = { worker, pending: 0 };
+        worker.onmessage = (event) => this.handleMessage(event.data);
+        worker.onerror = (event) => this.handleWorkerError(entry, event);
+        worker.postMessage({ type: "setContext", payload: this.context });
+        this.workers.push(entry);
+      }
+    } catch (error) {
+      console.warn("Web Workers unavailable, processing data on the main thread:", error);
+      this.stopWorkers();
+    }
+  }
+
+  /**
+   * Terminate all workers and process further tasks on the main thread
+   * @private
+   */
+  stopWorkers() {
+    this.workers.forEach(({ worker }) => worker.terminate());
+    this.workers = [];
+    this.useWorkers = false;
+  }
+
+  /**
+   * Share data needed by the tasks (palette and clusters) with all workers.
+   * Nothing is sent if the objects did not change.
+   * @param {Object} context - Shared data
+   */
+  setContext(context) {
+    const keys = new Set([...Object.keys(this.context), ...Object.keys(context)]);
+    if ([...keys].every((key) => this.context[key] === context[key])) return;
+
+    this.context = { ...context };
+    this.workers.forEach(({ worker }) =>
+      worker.postMessage({ type: "setContext", payload: this.context })
+    );
+  }
+
+  /**
+   * Make a data path absolute. Workers resolve relative URLs against their own
+   * script location, so task payloads must carry absolute URLs.
+   * @param {string} path - Path from config.dataPaths
+   * @returns {string} Absolute URL
+   */
+  resolveUrl(path) {
+    return new URL(path, window.location.href).href;
+  }
+
+  /**
+   * Run a task from dataProcessing.js
+   * @param {string} type - Task type, a key of taskHandlers
+   * @param {Object} payload - Task input, copied to the worker
+   * @param {string} [label] - Loading indicator label, no progress is shown without one
+   * @returns {Promise<Object>} Task result made of typed arrays
+   */
+  run(type, payload, label = null) {
+    const requestId = label ? loadingIndicator.startRequest(null, label) : null;
+    const onProgress = requestId
+      ? (loaded, total) => loadingIndicator.updateRequest(requestId, loaded, total)
+      : null;
+
+    this.startWorkers();
+
+    const promise = new Promise((resolve, reject) => {
+      const task = { type, payload, resolve, reject, onProgress, entry: null };
+      if (this.useWorkers) {
+        this.dispatch(task);
+      } else {
+        this.runOnMainThread(task);
+      }
+    });
+
+    if (requestId) {
+      promise.then(
+        () => loadingIndicator.completeRequest(requestId),
+        () => loadingIndicator.completeRequest(requestId)
+      );
+    }
+    return promise;
+  }
+
+  /**
+   * Send a task to the least busy worker
+   * @private
+   * @param {Object} task
+   */
+  dispatch(task) {
+    const entry = this.workers.reduce((best, candidate) =>
+      candidate.pending < best.pending ? candidate : best
+    );
+    const id = this.nextTaskId++;
+    task.entry = entry;
+    entry.pending++;
+    this.tasks.set(id, task);
+    entry.worker.postMessage({ id, type: task.type, payload: task.payload });
+  }
+
+  /**
+   * Run a task with the same handlers on the main thread
+   * @private
+   * @param {Object} task
+   */
+  async runOnMainThread(task) {
+    try {
+      const handler = taskHandlers[task.type];
+      if (!handler) {
+        throw new Error(`Unknown task type: ${task.type}`);
+      }
+      task.resolve(await handler(task.payload, this.context, task.onProgress));
+    } catch (error) {
+      task.reject(error);
+    }
+  }
+
+  /**
+   * Handle a progress, result or error message from a worker
+   * @private
+   * @param {Object} message
+   */
+  handleMessage({ id, progress, result, error }) {
+    const task = this.tasks.get(id);
+    if (!task) return;
+
+    if (progress) {
+      if (task.onProgress) task.onProgress(progress[0], progress[1]);
+      return;
+    }
+
+    this.tasks.delete(id);
+    task.entry.pending--;
+    if (error) {
+      task.reject(new Error(error));
+    } else {
+      task.resolve(result);
+    }
+  }
+
+  /**
+   * A worker failed to start or crashed: move its tasks to the main thread
+   * @private
+   * @param {Object} entry - Worker entry
+   * @param {ErrorEvent} event
+   */
+  handleWorkerError(entry, event) {
+    console.warn("Data worker failed, processing data on the main thread:", event.message);
+
+    const orphaned = [...this.tasks.entries()].filter(
+      ([, task]) => task.entry === entry
+    );
+    orphaned.forEach(([id]) => this.tasks.delete(id));
+
+    entry.worker.terminate();
+    this.workers = this.workers.filter((candidate) => candidate !== entry);
+    if (this.workers.length === 0) this.useWorkers = false;
+
+    orphaned.forEach(([, task]) => {
+      if (this.useWorkers) {
+        this.dispatch(task);
+      } else {
+        this.runOnMainThread(task);
+      }
+    });
+  }
+}
+
+// Create a singleton instance, leaving one core for the main thread
+export const workerPool = new WorkerPool(
+  Math.min(
+    config.workers.maxWorkers,
+    Math.max(1, (navigator.hardwareConcurrency || 2) - 1)
+  )
+);
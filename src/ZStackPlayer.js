@@ -0,0 +1,351 @@
+/**
+ * ZStackPlayer.js
+ * Plays through the z-layers of the current variant at a chosen rate, preloading the
+ * boundaries of the upcoming layers, and records one pass over the layers to a WebM
+ * movie of the canvas. Overlays outside the canvas (legends, scale bar) are not recorded.
+ */
+
+import { store } from "./store.js";
+import { config } from "./config.js";
+
+// Layers loaded ahead of the one shown
+const PRELOAD_AHEAD = 3;
+
+// Delay before checking again whether the next layer has loaded
+const READY_POLL_MS = 50;
+
+// Video formats tried for recording, the first the browser supports is used
+const RECORDING_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+export class ZStackPlayer {
+  constructor() {
+    this.app = null;
+    this.panelInitialized = false;
+
+    this.playing = false;
+    this.timer = null;
+
+    // Pending check for the first layer before recording, separate so playback cannot cancel it
+    this.readyTimer = null;
+
+    // Active MediaRecorder and the data it produced, null when not recording
+    this.recorder = null;
+    this.chunks = [];
+  }
+
+  /**
+   * Attach the player to the application whose layers it steps through, and bind its controls
+   * @param {MERFISHApp} app
+   */
+  initialize(app) {
+    this.app = app;
+
+    if (!this.panelInitialized) {
+      this.panelInitialized = true;
+      this.initializeControls();
+    }
+  }
+
+  /**
+   * Get the playback rate from the frame rate input
+   * @returns {number} Layers per second
+   */
+  getFps() {
+    const input = document.getElementById("zstack-fps-input");
+    const fps = parseFloat(input?.value);
+    return Number.isFinite(fps) ? Math.min(30, Math.max(0.5, fps)) : 4;
+  }
+
+  /**
+   * Check whether playback starts over at the first layer after the last one
+   * @returns {boolean} Always false while recording, which covers one pass
+   */
+  isLooping() {
+    return !this.recorder && !!document.getElementById("zstack-loop-checkbox")?.checked;
+  }
+
+  /**
+   * Get the layer after one, wrapping around when looping
+   * @param {number} zstack
+   * @returns {number|null} Null after the last layer when not looping
+   */
+  getNextLayer(zstack) {
+    const min = config.dataPaths.getMinLayer();
+    const max = config.dataPaths.getMaxLayer();
+    if (zstack < max) return Math.max(min, zstack + 1);
+    return this.isLooping() ? min : null;
+  }
+
+  /**
+   * Start loading the layers after one, keeping them loaded until they are shown
+   * @param {number} zstack
+   */
+  preload(zstack) {
+    const zstacks = [];
+    let next = zstack;
+    for (let i = 0; i < PRELOAD_AHEAD; i++) {
+      next = this.getNextLayer(next);
+      if (next === null) break;
+      zstacks.push(next.toString());
+    }
+    // Held so that loading further layers cannot drop them before they are shown
+    this.app?.cellBoundaries?.holdLayers(zstacks);
+    this.app?.cellBoundaries?.preloadLayers(zstacks);
+  }
+
+  /**
+   * Start playback from the current layer, or from the first one when at the last layer
+   */
+  play() {
+    if (this.playing) return;
+    if (store.get("zstack") >= config.dataPaths.getMaxLayer() && !this.isLooping()) {
+      this.showLayer(config.dataPaths.getMinLayer());
+    }
+    this.playing = true;
+    this.preload(store.get("zstack"));
+    this.scheduleStep(1000 / this.getFps());
+    this.updateControls();
+  }
+
+  /**
+   * Pause playback, finishing a recording in progress
+   */
+  pause() {
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    clearTimeout(this.readyTimer);
+    this.readyTimer = null;
+    this.app?.cellBoundaries?.holdLayers([]);
+    if (this.recorder) this.stopRecording();
+    this.updateControls();
+  }
+
+  /**
+   * Stop playback and drop a recording in progress, e.g. before switching dataset
+   */
+  stop() {
+    if (this.recorder) {
+      this.recorder.onstop = null;
+      if (this.recorder.state !== "inactive") this.recorder.stop();
+      this.recorder = null;
+      this.chunks = [];
+    }
+    this.pause();
+  }
+
+  /**
+   * Check whether the boundaries and the visible genes of a layer have loaded
+   * @param {string} zstack
+   * @returns {boolean}
+   */
+  isLayerReady(zstack) {
+    return (
+      this.app.cellBoundaries.isLayerReady(zstack) && this.app.geneLoader.isLayerReady(zstack)
+    );
+  }
+
+  /**
+   * Start loading the boundaries and the visible genes of a layer
+   * @param {string} zstack
+   */
+  loadLayer(zstack) {
+    this.app.cellBoundaries.preloadLayers([zstack]);
+    this.app.geneLoader.preloadLayer(zstack);
+  }
+
+  /**
+   * Step to the next layer after a delay
+   * @param {number} delay - Milliseconds
+   */
+  scheduleStep(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.step(), delay);
+  }
+
+  /**
+   * Show the next layer once it has loaded, then wait for the next frame
+   */
+  step() {
+    if (!this.playing) return;
+
+    const next = this.getNextLayer(store.get("zstack"));
+    if (next === null) {
+      this.pause();
+      return;
+    }
+
+    // Hold the current layer rather than showing one without its boundaries or transcripts
+    if (!this.isLayerReady(next.toString())) {
+      this.loadLayer(next.toString());
+      this.scheduleStep(READY_POLL_MS);
+      return;
+    }
+
+    this.showLayer(next);
+    this.preload(next);
+    this.scheduleStep(1000 / this.getFps());
+  }
+
+  /**
+   * Show a layer, moving the z-stack slider with it
+   * @param {number} zstack
+   */
+  showLayer(zstack) {
+    store.set("zstackImmediate", zstack);
+    store.set("zstack", zstack);
+  }
+
+  /**
+   * Record one pass from the first to the last layer as a WebM movie
+   */
+  record() {
+    if (this.recorder) return;
+    if (typeof MediaRecorder === "undefined") {
+      alert("Recording is not supported by this browser.");
+      return;
+    }
+
+    // Restart from the first layer, and only start recording once it has loaded
+    this.pause();
+    const first = config.dataPaths.getMinLayer();
+    this.showLayer(first);
+    this.whenLayerReady(first.toString(), () => this.startRecording());
+    this.updateControls();
+  }
+
+  /**
+   * Run a callback once a layer has loaded, cancelled by pause()
+   * @param {string} zstack
+   * @param {Function} callback
+   */
+  whenLayerReady(zstack, callback) {
+    this.readyTimer = null;
+    if (this.isLayerReady(zstack)) {
+      callback();
+      return;
+    }
+    this.loadLayer(zstack);
+    this.readyTimer = setTimeout(() => this.whenLayerReady(zstack, callback), READY_POLL_MS);
+  }
+
+  /**
+   * Check whether a recording is in progress or waiting for its first layer
+   * @returns {boolean}
+   */
+  isRecording() {
+    return !!this.recorder || this.readyTimer !== null;
+  }
+
+  /**
+   * Start the recorder and play from the current layer
+   */
+  startRecording() {
+    const mimeType = RECORDING_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    const canvas = this.app.sceneManager.renderer.domElement;
+    const stream = canvas.captureStream(30);
+
+    this.chunks = [];
+    this.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    };
+    this.recorder.onstop = () => this.saveRecording(this.recorder.mimeType || "video/webm");
+
+    this.recorder.start();
+    this.play();
+  }
+
+  /**
+   * Stop recording, the movie is downloaded once the recorder has flushed its data
+   */
+  stopRecording() {
+    if (this.recorder?.state === "recording") this.recorder.stop();
+  }
+
+  /**
+   * Download the recorded movie
+   * @param {string} mimeType
+   */
+  saveRecording(mimeType) {
+    const blob = new Blob(this.chunks, { type: mimeType });
+    this.recorder = null;
+    this.chunks = [];
+    this.updateControls();
+    if (blob.size === 0) return;
+
+    const { currentDataset, currentVariant } = config.dataPaths;
+    const name = [currentDataset, currentVariant, "zstack"]
+      .filter(Boolean)
+      .join("_")
+      .replace(/[^\w.-]+/g, "_");
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${name}.webm`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Bind the playback controls next to the z-stack slider
+   */
+  initializeControls() {
+    const playButton = document.getElementById("zstack-play-btn");
+    const recordButton = document.getElementById("zstack-record-btn");
+    const slider = document.getElementById("zstack-slider-bottom");
+
+    if (playButton) {
+      playButton.addEventListener("click", () => {
+        if (this.playing) {
+          this.pause();
+        } else {
+          this.play();
+        }
+      });
+    }
+    if (recordButton) {
+      recordButton.addEventListener("click", () => {
+        if (this.isRecording()) {
+          this.pause();
+        } else {
+          this.record();
+        }
+      });
+    }
+
+    // Dragging the slider takes over from playback, but doesn't end a recording
+    if (slider) {
+      slider.addEventListener("pointerdown", () => {
+        if (this.playing && !this.recorder) this.pause();
+      });
+    }
+    this.updateControls();
+  }
+
+  /**
+   * Show the playback state on the buttons
+   */
+  updateControls() {
+    const playButton = document.getElementById("zstack-play-btn");
+    const recordButton = document.getElementById("zstack-record-btn");
+
+    if (playButton) {
+      playButton.textContent = this.playing ? "❚❚" : "▶";
+      playButton.title = this.playing ? "Pause" : "Play through the layers";
+      playButton.disabled = this.isRecording();
+    }
+    if (recordButton) {
+      recordButton.classList.toggle("recording", this.isRecording());
+      recordButton.title = this.isRecording()
+        ? "Stop recording and save"
+        : "Record the layers from first to last as WebM";
+    }
+  }
+}
+
+// Create a singleton instance
+export const zstackPlayer = new ZStackPlayer();
@@ -5,14 +5,14 @@
 
 import * as THREE from "three";
 import { config } from "./config.js";
-import pako from "pako";
 import { store } from "./store.js";
-import { updateDataBounds } from "./utils.js";
-import { loadingIndicator } from "./LoadingIndicator.js";
-import * as BufferGeometryUtils from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { updateDataBounds, centerZRange } from "./utils.js";
+import { workerPool } from "./WorkerPool.js";
+import { cellAssignment } from "./CellAssignment.js";
+import { sampleColormap, colormapGradient } from "./colormaps.js";
+import { getCellRange, polygonArea } from "./geometry.js";
 
 // Palette and clusters are now loaded from store
-import { ungzip } from "pako";
 
 /**
  * BoundaryLayer class represents a single z-stack layer of cell boundaries or nuclei
@@ -31,6 +31,13 @@ class BoundaryLayer {
     this.group = new THREE.Group();
     this.loaded = false;
     this.loading = false;
+    this.disposed = false;
+    this.jsonData = null; // Typed boundary data, kept for rebuilding
+    this.buildCount = 0;
+    this.showFills = true; // Fills are hidden when layers are stacked in the 3D view
+    this.fillColor = null; // Cell id to [r, g, b] for expression fills, null for cluster colors
+    this.fillOpacity = 1; // Fill vertex alpha the current geometry was built with
+    this.lastUsed = 0; // Shown or prefetched order, the least recent layers are dropped first
 
     // Set visibility based on type
     if (this.type === "boundaries") {
@@ -48,167 +55,59 @@ class BoundaryLayer {
 
   /**
    * Load boundary data for this layer
+   * Fetching, decompression and geometry buffers are handled by the worker pool
    * @returns {Promise} Resolves when loading is complete
    */
   async load() {
     if (this.loaded || this.loading) return;
 
     this.loading = true;
-    // console.log(`Loading ${this.type} layer for z-stack ${this.zstack}...`);
 
     try {
-      // Format the z-stack number with leading zero if needed
-      const formattedZstack = this.zstack;
-
-      // Get the path to the compressed data based on type
+      // Get the paths to the compressed data and its uncompressed fallback based on type
       let gzipPath;
+      let jsonPath;
       if (this.type === "boundaries") {
-        gzipPath = config.dataPaths.getCellBoundariesPath(formattedZstack);
+        gzipPath = config.dataPaths.getCellBoundariesPath(this.zstack);
+        jsonPath = config.dataPaths.getCellBoundariesPathJSON(this.zstack);
       } else if (this.type === "nuclei") {
-        gzipPath = config.dataPaths.getCellNucleiPath(formattedZstack);
+        gzipPath = config.dataPaths.getCellNucleiPath(this.zstack);
+        jsonPath = config.dataPaths.getCellNucleiPathJSON(this.zstack);
       } else {
         throw new Error(`Unknown boundary type: ${this.type}`);
       }
 
-      // console.log(`Loading gzipped data from: ${gzipPath}`);
-
-      // Fetch the compressed data with progress tracking
       const label =
         this.type === "boundaries"
           ? "Loading Cell Boundaries"
           : "Loading Cell Nuclei";
-      const gzipResponse = await loadingIndicator.fetchWithProgress(
-        gzipPath,
+
+      this.shareClusterData();
+      const options = this.getBuildOptions();
+      const { data, chunks, totalPoints } = await workerPool.run(
+        "loadBoundaries",
         {
-          headers: {
-            "Accept-Encoding": "gzip",
-            "Cache-Control": "no-cache",
-          },
+          url: workerPool.resolveUrl(gzipPath),
+          fallbackUrl: workerPool.resolveUrl(jsonPath),
+          options,
         },
         `${label} (Z=${this.zstack})`
       );
 
-      if (!gzipResponse.ok) {
-        throw new Error(
-          `Failed to fetch gzipped data: ${gzipResponse.status} ${gzipResponse.statusText}`
-        );
-      }
-
-      // Get the compressed data as an ArrayBuffer
-      const compressedData = await gzipResponse.arrayBuffer();
-      // console.log(`Got compressed data, size: ${compressedData.byteLength} bytes`);
+      // The layer may have been disposed (e.g. dataset switch) while fetching
+      if (this.disposed) return;
 
-      if (compressedData.byteLength === 0) {
-        throw new Error("Received empty compressed data");
-      }
-
-      // Check the first bytes to determine the file format
-      const dataView = new DataView(compressedData);
-      const byte1 = dataView.getUint8(0);
-      const byte2 = dataView.getUint8(1);
-      // console.log(`First two bytes: 0x${byte1.toString(16)} 0x${byte2.toString(16)}`);
-
-      let data;
-
-      // Check if it's actually a JSON file (starts with '{")'
-      if (byte1 === 0x7b && byte2 === 0x22) {
-        // console.log(`File appears to be plain JSON despite .gz extension. File size: ${compressedData.byteLength} bytes`);
-        try {
-          const jsonString = new TextDecoder().decode(compressedData);
-          data = JSON.parse(jsonString);
-          // console.log(`Parsed JSON data directly, bypassing decompression. Data size: ${jsonString.length} characters`);
-        } catch (parseError) {
-          console.error("JSON parsing error:", parseError);
-          throw new Error(`Failed to parse direct JSON: ${parseError.message}`);
-        }
-      } else if (byte1 === 0x1f && byte2 === 0x8b) {
-        // It's a proper gzip file, decompress it
-        try {
-          // console.log(`Processing gzipped file. Compressed size: ${compressedData.byteLength} bytes`);
-          const decompressedData = ungzip(new Uint8Array(compressedData));
-          // console.log(`Decompression complete. Original size: ${compressedData.byteLength} bytes → Decompressed size: ${decompressedData.length} bytes (${(decompressedData.length / compressedData.byteLength).toFixed(2)}x larger)`);
-
-          // Parse the JSON data
-          const jsonString = new TextDecoder().decode(decompressedData);
-          data = JSON.parse(jsonString);
-          // console.log(`Parsed JSON data successfully. JSON string length: ${jsonString.length} characters`);
-        } catch (error) {
-          console.error("Decompression or parsing error:", error);
-          throw new Error(`Failed to process gzipped data: ${error.message}`);
-        }
-      } else if (byte1 === 0x3c && byte2 === 0x21) {
-        // This looks like an HTML document (starts with '<!'), likely an error page
-        const htmlContent = new TextDecoder()
-          .decode(compressedData)
-          .substring(0, 200); // Get first 200 chars for debugging
-        console.error(
-          "Received HTML content instead of JSON or gzip data:",
-          htmlContent
-        );
-
-        // Try to get a more specific error from the HTML content
-        let errorMessage = "Received HTML error page instead of data";
-
-        // Try to extract error status code if present
-        const statusMatch = htmlContent.match(/status code (\d+)/);
-        if (statusMatch && statusMatch[1]) {
-          errorMessage += ` (Status: ${statusMatch[1]})`;
-        }
-
-        // Try to fall back to uncompressed path
-        // console.log(`Attempting to load uncompressed data as fallback...`);
-        try {
-          // Get the uncompressed path based on type
-          let jsonPath;
-          if (this.type === "boundaries") {
-            jsonPath =
-              config.dataPaths.getCellBoundariesPathJSON(formattedZstack);
-          } else if (this.type === "nuclei") {
-            jsonPath = config.dataPaths.getCellNucleiPathJSON(formattedZstack);
-          } else {
-            throw new Error(`Unknown boundary type: ${this.type}`);
-          }
-
-          // console.log(`Loading uncompressed data from: ${jsonPath}`);
-
-          // Fetch the uncompressed data
-          const jsonResponse = await fetch(jsonPath, {
-            headers: {
-              "Cache-Control": "no-cache",
-            },
-          });
-
-          if (!jsonResponse.ok) {
-            throw new Error(
-              `Failed to fetch uncompressed data: ${jsonResponse.status} ${jsonResponse.statusText}`
-            );
-          }
-
-          // Parse the JSON data
-          data = await jsonResponse.json();
-          // console.log(`Successfully loaded uncompressed data as fallback`);
-        } catch (fallbackError) {
-          console.error("Fallback to uncompressed data failed:", fallbackError);
-          throw new Error(
-            `${errorMessage}. Fallback also failed: ${fallbackError.message}`
-          );
-        }
-      } else {
-        throw new Error(
-          `Unknown file format. First bytes: 0x${byte1.toString(
-            16
-          )} 0x${byte2.toString(16)}`
-        );
-      }
+      // Keep the typed arrays so the layer can be rebuilt without refetching
+      this.jsonData = data;
+      this.fillOpacity = options.opacity;
 
       // Create visualization with the data
-      this.createVisualization(data);
+      this.createVisualization(chunks, totalPoints);
 
       // Add to scene
       this.scene.add(this.group);
 
       this.loaded = true;
-      // console.log(`Loaded boundary layer for z-stack ${this.zstack}`);
     } catch (error) {
       console.error(
         `Error loading boundary layer for z-stack ${this.zstack}:`,
@@ -220,58 +119,58 @@ class BoundaryLayer {
   }
 
   /**
-   * Process the loaded data to create cell boundary visualizations
-   * @param {Object} data - The loaded boundary data
+   * Rebuild the geometry from the loaded data, e.g. after the inner coloring settings changed
+   * @returns {Promise} Resolves when the new geometry is in place
    */
-  processData(data) {
-    if (!data || !data.cellOffsets || !data.points) {
-      console.error("Invalid boundary data format");
-      return;
-    }
+  async refresh() {
+    if (!this.jsonData) return;
 
-    // Store the JSON data for raycasting
-    this.jsonData = data;
-
-    // Log detailed information about the boundary data
-    // console.log('%c BOUNDARY DATA STRUCTURE', 'background: #FF9800; color: white; padding: 2px 5px; border-radius: 2px;');
-    // console.log('Boundary data overview:', {
-    //     cellOffsetsLength: data.cellOffsets.length,
-    //     pointsLength: data.points.length,
-    //     hasClusters: !!data.clusters,
-    //     clustersLength: data.clusters ? data.clusters.length : 0,
-    //     dataKeys: Object.keys(data)
-    // });
-
-    // Log a sample of the data structure
-    // if (data.cellOffsets.length > 0) {
-    //     console.log('Sample cell offset:', data.cellOffsets[0]);
-    // }
-    // if (data.points.length > 0) {
-    //     console.log('Sample point:', data.points[0]);
-    // }
-    // if (data.clusters && data.clusters.length > 0) {
-    //     console.log('Sample cluster:', data.clusters[0]);
-    // }
-
-    // Create visualization with the data
-    this.createVisualization(data);
-
-    // Set this layer as loaded
-    this.loaded = true;
-    this.loading = false;
+    // Only the latest rebuild is applied when settings change quickly
+    const build = ++this.buildCount;
+
+    this.shareClusterData();
+    const options = this.getBuildOptions();
+    const { chunks, totalPoints } = await workerPool.run("buildBoundaries", {
+      data: this.jsonData,
+      options,
+    });
 
-    // If we have a SceneManager reference and this layer is visible,
-    // set the active spatial geometry for raycasting
-    if (this.sceneManager && this.visible) {
-      // console.log('Setting active spatial geometry after processing data');
+    if (this.disposed || build !== this.buildCount) return;
+    this.fillOpacity = options.opacity;
+    this.createVisualization(chunks, totalPoints);
+
+    // The old chunks were disposed, point raycasting at the new fill chunks
+    if (this.sceneManager && this.type === "boundaries" && this.group.visible) {
       this.sceneManager.setActiveSpatialGeometry(
-        this.boundaryLayers[zstack],
+        this.group.children.filter((_, i) => i % 2 !== 0),
         this.jsonData,
-        this.palette
+        store.get("palette")
       );
     }
   }
 
+  /**
+   * Options for building this layer's geometry buffers
+   * @returns {{type: string, innerColoring: boolean, opacity: number}}
+   */
+  getBuildOptions() {
+    return {
+      type: this.type,
+      innerColoring: !!store.get("innerColoring"),
+      opacity: this.currentOpacity ?? this.opacity,
+    };
+  }
+
+  /**
+   * Make the current palette and clusters available to the workers for fill colors
+   */
+  shareClusterData() {
+    workerPool.setContext({
+      palette: store.get("palette") || {},
+      clusters: store.get("clusters") || {},
+    });
+  }
+
   /**
    * Set the active spatial geometry for raycasting
    */
@@ -374,15 +273,11 @@ class BoundaryLayer {
   }
 
   /**
-   * Create visualization for this layer
-   * @param {Object} data - Boundary data
+   * Create visualization for this layer from prepared geometry buffers
+   * @param {Object[]} chunks - Line and fill buffers per chunk of cells, see buildBoundaryBuffers()
+   * @param {number} totalPoints - Number of boundary points in the layer
    */
-  createVisualization(data) {
-    if (!data || !data.cellOffsets || !data.points) {
-      console.error(`Invalid data for z-stack ${this.zstack}`);
-      return;
-    }
-
+  createVisualization(chunks, totalPoints) {
     // Track if this is the first time creating the visualization
     const isFirstLoad = this.group.children.length === 0;
 
@@ -394,220 +289,73 @@ class BoundaryLayer {
       this.group.remove(child);
     }
 
-    const opacity = this.opacity;
-    const enableInnerColoring = store.get("innerColoring");
+    const opacity = this.currentOpacity ?? this.opacity;
     const innerColoringOpacity = store.get("innerColoringOpacity");
-    const { cellOffsets, points, cellIds } = data; // YINAN specific
-    // const { cellOffsets, points} = data;
-    const clusters = store.get("clusters");
-    // console.log(clusters);
-    const clusterData = cellIds.map((id) => clusters[id.toString()]); // assuming same ordering YINAN specific
-    // const clusterData = clusters; // assuming same ordering
-    // console.log(clusterData);
-
-    const CHUNK_SIZE = 100; // Number of cells per chunk
-    const MAX_POINTS_PER_CELL = 50; // Maximum points per cell when simplified
-    let totalPoints = 0;
-    const numCells = cellOffsets.length - 1;
-
-    // Process cells in chunks
-    for (let chunkStart = 0; chunkStart < numCells; chunkStart += CHUNK_SIZE) {
-      const chunkEnd = Math.min(chunkStart + CHUNK_SIZE, numCells);
-      const lineGeometries = [];
-      const fillGeometries = [];
-      // Create a metadata object for this chunk with cluster information
-
-      for (let index = chunkStart; index < chunkEnd; index++) {
-        const start = cellOffsets[index] * 2; // YINAN specific
-        const end = cellOffsets[index + 1] * 2; // YINAN specific
-        // const start = cellOffsets[index] ;
-        // const end = cellOffsets[index + 1] ;
-
-        // Create array of points for this cell
-        const boundary = [];
-        for (let i = start; i < end; i += 2) {
-          boundary.push({ x: points[i], y: points[i + 1] });
-        }
 
-        if (!boundary.length) continue;
-        totalPoints += boundary.length;
-
-        // Simplify points if needed
-        const simplifiedBoundary =
-          boundary.length > MAX_POINTS_PER_CELL
-            ? boundary.filter(
-                (_, i) =>
-                  i % Math.ceil(boundary.length / MAX_POINTS_PER_CELL) === 0
-              )
-            : boundary;
-
-        // Create line geometry with indices
-        const numPoints = simplifiedBoundary.length;
-        const positions = new Float32Array((numPoints + 1) * 3);
-
-        simplifiedBoundary.forEach((pt, i) => {
-          positions[i * 3] = pt.x;
-          positions[i * 3 + 1] = pt.y;
-          positions[i * 3 + 2] = 0;
-        });
+    chunks.forEach((chunk) => {
+      const lineGeometry = new THREE.BufferGeometry();
+      lineGeometry.setAttribute(
+        "position",
+        new THREE.BufferAttribute(chunk.linePositions, 3)
+      );
+      lineGeometry.setIndex(new THREE.BufferAttribute(chunk.lineIndices, 1));
+      // White per vertex, the alpha hides the outlines of hidden clusters
+      lineGeometry.setAttribute(
+        "color",
+        new THREE.BufferAttribute(
+          new Float32Array(chunk.lineCellIds.length * 4).fill(1),
+          4
+        )
+      );
+      lineGeometry.setAttribute(
+        "cellId",
+        new THREE.BufferAttribute(chunk.lineCellIds, 1)
+      );
 
-        // Close the loop
-        positions[numPoints * 3] = simplifiedBoundary[0].x;
-        positions[numPoints * 3 + 1] = simplifiedBoundary[0].y;
-        positions[numPoints * 3 + 2] = 0;
+      const lineMaterial = new THREE.LineBasicMaterial({
+        color: 0xffffff,
+        vertexColors: true,
+        transparent: true,
+        opacity: opacity,
+      });
+      this.group.add(new THREE.LineSegments(lineGeometry, lineMaterial));
 
-        const lineGeometry = new THREE.BufferGeometry();
-        lineGeometry.setAttribute(
+      // The fill chunk follows its line chunk, so fills are the odd children
+      if (chunk.fill) {
+        const fillGeometry = new THREE.BufferGeometry();
+        fillGeometry.setAttribute(
           "position",
-          new THREE.BufferAttribute(positions, 3)
+          new THREE.BufferAttribute(chunk.fill.positions, 3)
+        );
+        fillGeometry.setIndex(new THREE.BufferAttribute(chunk.fill.indices, 1));
+        fillGeometry.setAttribute(
+          "color",
+          new THREE.BufferAttribute(chunk.fill.colors, 4)
+        );
+        // Cell id per vertex, looked up in the clusters when raycasting
+        fillGeometry.setAttribute(
+          "clusterId",
+          new THREE.BufferAttribute(chunk.fill.clusterIds, 1)
         );
 
-        // Create indices for line segments
-        const indices = new Uint16Array(numPoints * 2);
-        for (let i = 0; i < numPoints; i++) {
-          indices[i * 2] = i;
-          indices[i * 2 + 1] = i + 1;
-        }
-        lineGeometry.setIndex(new THREE.BufferAttribute(indices, 1));
-
-        // Store metadata for this cell
-        const cluster = clusterData[index];
-        const clusterColor = store.get("palette")[cluster];
-
-        // Store color for this cell
-        const color = new THREE.Color(clusterColor || 0x000000);
-
-        // Add this cell to the chunk metadata
-        // if (cluster) {
-        //     uniqueClusters.add(cluster);
-
-        //         // Store the cluster value for this line geometry
-        //     // We'll use the geometry index in the lineGeometries array as the key
-        //     // This will help us identify which cluster a line belongs to when raycasting
-        //     const geometryIndex = lineGeometries.length;
-        //     clusterMap[geometryIndex] = cluster;
-
-        //     // Also store by vertex indices for more precise lookups
-        //     const vertexCount = lineGeometry.attributes.position.count;
-        //     for (let i = 0; i < vertexCount; i++) {
-        //         clusterMap[`v_${geometryIndex}_${i}`] = cluster;
-        //     }
-        // }
-
-        // console.log(`Cell ${index} has cluster: ${cluster}`);
-        lineGeometries.push(lineGeometry);
-
-        const cellId = cellIds[index];
-
-        // Create fill geometry if enabled
-        if (enableInnerColoring && this.type === "boundaries") {
-          const shape = new THREE.Shape();
-          shape.moveTo(simplifiedBoundary[0].x, simplifiedBoundary[0].y);
-          for (let i = 1; i < simplifiedBoundary.length; i++) {
-            shape.lineTo(simplifiedBoundary[i].x, simplifiedBoundary[i].y);
-          }
-          shape.lineTo(simplifiedBoundary[0].x, simplifiedBoundary[0].y);
-
-          const geometry = new THREE.ShapeGeometry(shape);
-
-          // Create color array for all vertices of this shape
-          const vertexCount = geometry.attributes.position.count;
-          const colors = new Float32Array(vertexCount * 4); // Using RGBA
-          for (let i = 0; i < vertexCount; i++) {
-            colors[i * 4] = color.r;
-            colors[i * 4 + 1] = color.g;
-            colors[i * 4 + 2] = color.b;
-            colors[i * 4 + 3] = opacity; // Add opacity
-          }
-          geometry.setAttribute("color", new THREE.BufferAttribute(colors, 4));
-          // Create a Float32Array with the cluster value for this cell
-          const clusterIdArray = new Float32Array(vertexCount);
-          // Fill all vertices with the same cluster value for this cell
-          for (let i = 0; i < vertexCount; i++) {
-            ``;
-            clusterIdArray[i] = cellId;
-          }
-          geometry.setAttribute(
-            "clusterId",
-            new THREE.BufferAttribute(clusterIdArray, 1)
-          );
-
-          // Add a custom attribute to store cluster IDs
-          // Fill with appropriate cluster IDs - use the cluster for this specific cell
-          // const cluster = clusterData[index];
-          // console.log('Cluster for cell', index, 'is', cluster);
-          // for (let i = 0; i < vertexCount; i++) {
-          //     clusterIds[i] = clusterData[i];
-          // }
-
-          fillGeometries.push(geometry);
-        }
-      }
-
-      // Process the fill geometries if available
-
-      if (lineGeometries.length > 0) {
-        // Create merged line geometry
-        const mergedLineGeometry =
-          BufferGeometryUtils.mergeGeometries(lineGeometries);
-        const lineMaterial = new THREE.LineBasicMaterial({
-          color: 0xffffff,
+        const fillMaterial = new THREE.MeshBasicMaterial({
+          vertexColors: true,
           transparent: true,
-          opacity: opacity,
+          opacity: innerColoringOpacity,
+          side: THREE.DoubleSide,
         });
-
-        // For each mesh in the chunk, create a simple metadata object with just its cluster
-
-        // Store metadata on the line chunk
-        const lineChunk = new THREE.LineSegments(
-          mergedLineGeometry,
-          lineMaterial
-        );
-
-        // console.log('%c LINE CHUNK CREATED', 'background: #2196F3; color: white; padding: 2px 5px; border-radius: 2px;');
-        // console.log('Line chunk details:', {
-        //     type: lineChunk.type,
-        //     uuid: lineChunk.uuid.substring(0, 8) + '...',
-        //     hasUserData: !!lineChunk.userData,
-        //     hasChunkMetadata: lineChunk.userData && !!lineChunk.userData.chunkMetadata,
-        //     vertexCount: mergedLineGeometry.attributes.position.count,
-        //     hasIndex: !!mergedLineGeometry.index,
-        //     indexCount: mergedLineGeometry.index ? mergedLineGeometry.index.count : 0
-        // });
-
-        this.group.add(lineChunk);
-
-        // Create merged fill geometry if needed
-        if (fillGeometries.length > 0) {
-          const mergedFillGeometry =
-            BufferGeometryUtils.mergeGeometries(fillGeometries);
-
-          // The colors are already assigned to each geometry before merging
-          const fillMaterial = new THREE.MeshBasicMaterial({
-            vertexColors: true,
-            transparent: true,
-            opacity: innerColoringOpacity,
-            side: THREE.DoubleSide,
-          });
-
-          const fillChunk = new THREE.Mesh(mergedFillGeometry, fillMaterial);
-
-          // console.log('%c FILL CHUNK CREATED', 'background: #FF9800; color: white; padding: 2px 5px; border-radius: 2px;');
-          // console.log('Fill chunk details:', {
-          //     type: fillChunk.type,
-          //     uuid: fillChunk.uuid.substring(0, 8) + '...',
-          //     hasUserData: !!fillChunk.userData,
-          //     hasChunkMetadata: fillChunk.userData && !!fillChunk.userData.chunkMetadata,
-          //     vertexCount: mergedFillGeometry.attributes.position.count,
-          //     hasIndex: !!mergedFillGeometry.index,
-          //     indexCount: mergedFillGeometry.index ? mergedFillGeometry.index.count : 0
-          // });
-
-          this.group.add(fillChunk);
-        }
+        const fillMesh = new THREE.Mesh(fillGeometry, fillMaterial);
+        fillMesh.visible = this.showFills;
+        this.group.add(fillMesh);
       }
+    });
+
+    // The worker builds fills in the palette colors with every cluster shown
+    if (this.fillColor || (store.get("hiddenClusters") || []).length > 0) {
+      this.applyCellColors();
     }
 
+    this.boundariesRendered = totalPoints;
     store.set("boundariesRendered", totalPoints);
 
     // If this was the first load, trigger a mouse move event to activate intersection checking
@@ -635,6 +383,56 @@ class BoundaryLayer {
     }
   }
 
+  /**
+   * Recolor the cell fills, or restore the cluster colors
+   * @param {Function|null} fillColor - Cell id (as stored in the float32 fill attribute)
+   *   to [r, g, b] in 0-1, null for the cluster colors
+   */
+  setFillColors(fillColor) {
+    if (this.fillColor === fillColor) return;
+    this.fillColor = fillColor;
+    this.applyCellColors();
+  }
+
+  /**
+   * Write the per-cell colors into the vertex colors of the line and fill chunks:
+   * fills in the expression or palette color, hidden clusters fully transparent
+   */
+  applyCellColors() {
+    const palette = store.get("palette") || {};
+    const clusters = store.get("clusters") || {};
+    const hiddenClusters = new Set(store.get("hiddenClusters") || []);
+    const color = new THREE.Color();
+
+    this.group.children.forEach((child) => {
+      const isFill = child.isMesh;
+      const cellIds = child.geometry.getAttribute(isFill ? "clusterId" : "cellId");
+      const colors = child.geometry.getAttribute("color");
+      if (!cellIds || !colors) return;
+
+      // Vertices of a cell are consecutive, so colors are looked up once per cell
+      let lastId = null;
+      let rgb = null;
+      let alpha = 1;
+      for (let i = 0; i < cellIds.count; i++) {
+        const id = cellIds.getX(i);
+        if (id !== lastId) {
+          lastId = id;
+          const cluster = clusters[id.toString()];
+          alpha = hiddenClusters.has(cluster) ? 0 : isFill ? this.fillOpacity : 1;
+          rgb = isFill && this.fillColor && this.fillColor(id);
+          if (isFill && !rgb) {
+            color.set(palette[cluster] || 0x000000);
+            rgb = [color.r, color.g, color.b];
+          }
+        }
+        if (rgb) colors.setXYZ(i, rgb[0], rgb[1], rgb[2]);
+        colors.setW(i, alpha);
+      }
+      colors.needsUpdate = true;
+    });
+  }
+
   /**
    * Set visibility of this layer
    * @param {boolean} visible - Whether the layer should be visible
@@ -644,6 +442,19 @@ class BoundaryLayer {
     this.group.visible = visible;
   }
 
+  /**
+   * Place this layer at its depth in the 3D view, showing outlines only,
+   * or back in the 2D plane with its fills
+   * @param {number|null} zStep - Distance between layers, null for the 2D view
+   */
+  setZStep(zStep) {
+    this.group.position.z = zStep === null ? 0 : parseInt(this.zstack) * zStep;
+    this.showFills = zStep === null;
+    this.group.children.forEach((child) => {
+      if (child.isMesh) child.visible = this.showFills;
+    });
+  }
+
   /**
    * Update opacity of this layer
    * @param {number} opacity - New opacity value
@@ -675,6 +486,29 @@ class BoundaryLayer {
     });
   }
 
+  /**
+   * Estimate the memory held by this layer: its geometry buffers and the kept boundary data
+   * @returns {number} Bytes
+   */
+  getByteSize() {
+    let bytes = 0;
+    this.group.children.forEach((child) => {
+      const { attributes, index } = child.geometry;
+      Object.values(attributes).forEach((attribute) => {
+        bytes += attribute.array.byteLength;
+      });
+      if (index) bytes += index.array.byteLength;
+    });
+    if (this.jsonData) {
+      Object.values(this.jsonData)
+        .filter((value) => ArrayBuffer.isView(value))
+        .forEach((array) => {
+          bytes += array.byteLength;
+        });
+    }
+    return bytes;
+  }
+
   /**
    * Clean up resources used by this layer
    */
@@ -696,6 +530,7 @@ class BoundaryLayer {
       });
     }
 
+    this.disposed = true;
     this.loaded = false;
     this.loading = false;
   }
@@ -730,16 +565,34 @@ export class CellBoundaries {
     this.boundaryLayers = {}; // Map of z-stack ID to boundary layers
     this.nucleiLayers = {}; // Map of z-stack ID to nuclei layers
 
+    // Least recently used order of the layers, and the direction to prefetch in
+    this.useCount = 0;
+    this.lastZStack = null;
+    this.scrollDirection = 1;
+    this.heldZStacks = []; // Kept through memory budget enforcement, see holdLayers()
+
     // Store for cluster data and palette
     this.jsonData = null;
     this.palette = null;
 
+    // Incremented per expression fill update so only the latest one is applied
+    this.fillRequest = 0;
+    this.fillLegend = null; // { gene, max, normalize } of the expression fill shown
+
     // Subscribe to store changes
     store.subscribe("zstack", () => {
       //   console.log("Z-stack changed, updating boundaries");
       this.updateZStack();
     });
 
+    // Stack the layers around the current one in the 3D view
+    store.subscribe("viewMode", () => this.updateZStack());
+    ["projectionMode", "projectionRange"].forEach((key) =>
+      store.subscribe(key, () => {
+        if (store.get("viewMode") === "3d") this.updateZStack();
+      })
+    );
+
     // Cell boundaries subscriptions
     store.subscribe("showCellBoundaries", (visible) =>
       this.updateVisibility("boundaries", visible)
@@ -760,33 +613,42 @@ export class CellBoundaries {
     store.subscribe("innerColoring", () => {
       console.log("Inner coloring setting changed, updating all layers");
       this.refreshCurrentLayer("boundaries", true); // true = refresh all layers
+      this.updateFillColors();
     });
     store.subscribe("innerColoringOpacity", () => {
       console.log("Inner coloring opacity changed, updating all layers");
       this.refreshCurrentLayer("boundaries", true); // true = refresh all layers
     });
 
+    // Expression fills
+    ["fillMode", "fillGene", "fillNormalize", "fillColormap"].forEach((key) =>
+      store.subscribe(key, () => this.updateFillColors())
+    );
+    store.subscribe("showCellBoundaries", () => this.updateFillLegend());
+
+    // Cluster legend: hidden clusters and recolored palette entries, applied in place
+    store.subscribe("hiddenClusters", () => this.updateClusterColors());
+    store.subscribe("palette", () => this.updateClusterColors());
+
     // Load initial z-stack
     this.loadBoundaries(store.get("zstack").toString());
 
     // Load nuclei if supported for the current variant
     if (config.dataPaths.hasNucleiSupport()) {
       this.loadNuclei(store.get("zstack").toString());
-
-      // Show nuclei controls in the UI
-      const nucleiControls = document.getElementById("nuclei-controls");
-      const nucleiOpacityControl = document.getElementById(
-        "nuclei-opacity-control"
-      );
-      if (nucleiControls) nucleiControls.style.display = "block";
-      if (nucleiOpacityControl) nucleiOpacityControl.style.display = "block";
     }
+    this.updateNucleiControls();
 
     // Find the appropriate geometry child with chunkMetadata to use for raycasting
     const zstack = store.get("zstack").toString();
 
     let children = null;
     const interval = setInterval(() => {
+      // The layer is gone if the dataset was switched before it loaded
+      if (!this.boundaryLayers[zstack]) {
+        clearInterval(interval);
+        return;
+      }
       children = this.boundaryLayers[zstack].group.children;
       if (children.length > 0) {
         const oddChildren = children.filter((_, i) => i % 2 !== 0);
@@ -805,20 +667,226 @@ export class CellBoundaries {
   }
 
   /**
-   * Update which z-stack layer is visible based on store value
+   * Show or hide the nuclei controls depending on the current variant
+   */
+  updateNucleiControls() {
+    const display = config.dataPaths.hasNucleiSupport() ? "block" : "none";
+    const nucleiControls = document.getElementById("nuclei-controls");
+    const nucleiOpacityControl = document.getElementById(
+      "nuclei-opacity-control"
+    );
+    if (nucleiControls) nucleiControls.style.display = display;
+    if (nucleiOpacityControl) nucleiOpacityControl.style.display = display;
+  }
+
+  /**
+   * Remove all loaded layers, e.g. before switching dataset or variant.
+   * Unlike dispose(), the manager and its store subscriptions stay alive.
+   */
+  reset() {
+    Object.values(this.boundaryLayers).forEach((layer) => layer.dispose());
+    Object.values(this.nucleiLayers).forEach((layer) => layer.dispose());
+
+    this.boundaryLayers = {};
+    this.nucleiLayers = {};
+    this.jsonData = null;
+    this.lastZStack = null;
+    this.scrollDirection = 1;
+    this.heldZStacks = [];
+
+    if (this.sceneManager) {
+      this.sceneManager.setActiveSpatialGeometry(null, null, null);
+    }
+  }
+
+  /**
+   * Load the current z-stack for the current dataset variant after a reset()
+   */
+  reload() {
+    this.updateNucleiControls();
+    this.loadBoundaries(store.get("zstack").toString());
+    this.updateZStack();
+  }
+
+  /**
+   * Get the distance between layers for the current view mode
+   * @returns {number|null} Null in the 2D view
+   */
+  getZStep() {
+    return store.get("viewMode") === "3d" ? config.dataPaths.getZStep() : null;
+  }
+
+  /**
+   * Get the z-stacks shown for the current z-stack: only that layer in the 2D view,
+   * the projection range or the layers around it in the 3D view
+   * @param {string} zstack - Current z-stack identifier
+   * @returns {string[]} Z-stack identifiers
+   */
+  getShownZStacks(zstack) {
+    if (store.get("viewMode") !== "3d") return [zstack];
+
+    const center = parseInt(zstack);
+    const depth = config.visualization.boundaryStackDepth;
+    const range =
+      store.get("projectionMode") && store.get("projectionRange")
+        ? centerZRange(store.get("projectionRange"), center)
+        : { min: center - depth, max: center + depth };
+    const min = Math.max(range.min, config.dataPaths.getMinLayer());
+    const max = Math.min(range.max, config.dataPaths.getMaxLayer());
+
+    const zstacks = [];
+    for (let z = min; z <= max; z++) zstacks.push(z.toString());
+    return zstacks;
+  }
+
+  /**
+   * Start loading layers before they are shown, e.g. the next layers of z-stack playback.
+   * New layers stay hidden until updateZStack() shows them.
+   * @param {string[]} zstacks - Z-stack identifiers
+   */
+  preloadLayers(zstacks) {
+    const shownZStacks = this.getShownZStacks(store.get("zstack").toString());
+    const hide = (layer) => {
+      layer.visible = false;
+      layer.group.visible = false;
+    };
+
+    zstacks.forEach((zstack) => {
+      if (store.get("showCellBoundaries") && !this.boundaryLayers[zstack]) {
+        this.loadBoundaries(zstack);
+        if (!shownZStacks.includes(zstack)) hide(this.boundaryLayers[zstack]);
+      }
+      if (
+        config.dataPaths.hasNucleiSupport() &&
+        store.get("showCellNuclei") &&
+        !this.nucleiLayers[zstack]
+      ) {
+        this.loadNuclei(zstack);
+        if (!shownZStacks.includes(zstack)) hide(this.nucleiLayers[zstack]);
+      }
+
+      // After the layers exist, so new ones are not the first to be dropped
+      this.touchLayers(zstack);
+    });
+  }
+
+  /**
+   * Keep the layers of some z-stacks loaded even when over the memory budget,
+   * e.g. the layers z-stack playback is about to show
+   * @param {string[]} zstacks - Z-stack identifiers, replacing the previously held ones
+   */
+  holdLayers(zstacks) {
+    this.heldZStacks = zstacks;
+  }
+
+  /**
+   * Mark the layers of a z-stack as used, so they are the last to be dropped
+   * @param {string} zstack - Z-stack identifier
+   */
+  touchLayers(zstack) {
+    const useCount = ++this.useCount;
+    [this.boundaryLayers[zstack], this.nucleiLayers[zstack]]
+      .filter(Boolean)
+      .forEach((layer) => {
+        layer.lastUsed = useCount;
+      });
+  }
+
+  /**
+   * Start loading the layers past the shown ones in the direction the z-stack last moved
+   * @param {string[]} shownZStacks - Z-stacks shown for the current z-stack
+   */
+  prefetchLayers(shownZStacks) {
+    const depth = config.visualization.boundaryPrefetchDepth;
+    const shown = shownZStacks.map((zstack) => parseInt(zstack));
+    const edge = this.scrollDirection > 0 ? Math.max(...shown) : Math.min(...shown);
+    const min = config.dataPaths.getMinLayer();
+    const max = config.dataPaths.getMaxLayer();
+
+    const zstacks = [];
+    for (let i = 1; i <= depth; i++) {
+      const z = edge + i * this.scrollDirection;
+      if (z < min || z > max) break;
+      zstacks.push(z.toString());
+    }
+    this.preloadLayers(zstacks);
+  }
+
+  /**
+   * Drop the least recently used layers that are neither shown nor held until the loaded
+   * layers fit in the memory budget
+   */
+  enforceMemoryBudget() {
+    const budget = config.visualization.boundaryMemoryBudgetMB * 1024 * 1024;
+    const keptZStacks = [
+      ...this.getShownZStacks(store.get("zstack").toString()),
+      ...this.heldZStacks,
+    ];
+
+    let total = 0;
+    const candidates = [];
+    [this.boundaryLayers, this.nucleiLayers].forEach((layers) => {
+      Object.entries(layers).forEach(([zstack, layer]) => {
+        const bytes = layer.getByteSize();
+        total += bytes;
+        if (!layer.loading && !keptZStacks.includes(zstack)) {
+          candidates.push({ layers, zstack, layer, bytes });
+        }
+      });
+    });
+    if (total <= budget) return;
+
+    candidates.sort((a, b) => a.layer.lastUsed - b.layer.lastUsed);
+    for (const { layers, zstack, layer, bytes } of candidates) {
+      if (total <= budget) break;
+      layer.dispose();
+      delete layers[zstack];
+      total -= bytes;
+    }
+  }
+
+  /**
+   * Check whether the enabled boundary and nuclei layers of a z-stack are done loading
+   * @param {string} zstack - Z-stack identifier
+   * @returns {boolean} False while a layer is loading or has not been requested yet
+   */
+  isLayerReady(zstack) {
+    const pending = (layers) => !layers[zstack] || layers[zstack].loading;
+    if (store.get("showCellBoundaries") && pending(this.boundaryLayers)) {
+      return false;
+    }
+    return !(
+      config.dataPaths.hasNucleiSupport() &&
+      store.get("showCellNuclei") &&
+      pending(this.nucleiLayers)
+    );
+  }
+
+  /**
+   * Update which z-stack layers are visible based on store values
    */
   async updateZStack() {
     const zstack = store.get("zstack").toString();
+    const shownZStacks = this.getShownZStacks(zstack);
+    const zStep = this.getZStep();
     // console.log(`Updating to z-stack ${zstack}`);
 
+    const current = parseInt(zstack);
+    if (this.lastZStack !== null && current !== this.lastZStack) {
+      this.scrollDirection = Math.sign(current - this.lastZStack);
+    }
+    this.lastZStack = current;
+
     // Hide all boundary layers
     Object.values(this.boundaryLayers).forEach((layer) => {
       layer.group.visible = false;
+      layer.setZStep(zStep);
     });
 
     // Hide all nuclei layers
     Object.values(this.nucleiLayers).forEach((layer) => {
       layer.group.visible = false;
+      layer.setZStep(zStep);
     });
 
     // Check if cell boundaries are enabled
@@ -846,6 +914,10 @@ export class CellBoundaries {
           // Find the appropriate geometry child with chunkMetadata to use for raycasting
           let children = null;
           const interval = setInterval(() => {
+            if (!this.boundaryLayers[zstack]) {
+              clearInterval(interval);
+              return;
+            }
             children = this.boundaryLayers[zstack].group.children;
             if (children.length > 0) {
               const oddChildren = children.filter((_, i) => i % 2 !== 0);
@@ -860,6 +932,16 @@ export class CellBoundaries {
           }, 100);
         }
       }
+      this.updateFillColors();
+
+      // Stacked layers in the 3D view, loaded in the background
+      shownZStacks
+        .filter((key) => key !== zstack)
+        .forEach((key) => {
+          this.loadBoundaries(key);
+          this.boundaryLayers[key].visible = true;
+          this.boundaryLayers[key].group.visible = true;
+        });
     } else {
       // Boundaries are disabled, clear active spatial geometry
       if (this.sceneManager) {
@@ -882,9 +964,132 @@ export class CellBoundaries {
         this.nucleiLayers[zstack].visible = true;
         this.nucleiLayers[zstack].group.visible = true;
       }
+
+      shownZStacks
+        .filter((key) => key !== zstack)
+        .forEach((key) => {
+          this.loadNuclei(key);
+          this.nucleiLayers[key].visible = true;
+          this.nucleiLayers[key].group.visible = true;
+        });
+    }
+
+    // Shown layers are the most recently used, then those loaded ahead of them
+    shownZStacks.forEach((key) => this.touchLayers(key));
+    this.prefetchLayers(shownZStacks);
+    this.enforceMemoryBudget();
+  }
+
+  /**
+   * Color the fills of the current boundary layer by the transcripts of the fill gene
+   * in the expression fill mode, otherwise restore the cluster colors
+   */
+  async updateFillColors() {
+    const request = ++this.fillRequest;
+    const gene = store.get("fillGene");
+
+    if (
+      store.get("fillMode") !== "expression" ||
+      !gene ||
+      !store.get("innerColoring")
+    ) {
+      Object.values(this.boundaryLayers).forEach((layer) =>
+        layer.setFillColors(null)
+      );
+      this.updateFillLegend(null);
+      return;
+    }
+
+    // Layers that are still loading are colored once loaded, see loadBoundaries()
+    const zstack = store.get("zstack").toString();
+    const layer = this.boundaryLayers[zstack];
+    if (!layer || !layer.jsonData) return;
+
+    try {
+      const { genes } = await cellAssignment.assignLayer(zstack, [gene]);
+      if (request !== this.fillRequest || layer.disposed) return;
+
+      const normalize = !!store.get("fillNormalize");
+      const values = this.getExpressionValues(layer.jsonData, genes[gene].counts, normalize);
+      const max = values.reduce((result, value) => Math.max(result, value), 0);
+
+      // Keyed like the float32 cell ids of the fill vertices
+      const colormap = store.get("fillColormap");
+      const colors = new Map();
+      const color = new THREE.Color();
+      layer.jsonData.cellIds.forEach((cellId, i) => {
+        const [r, g, b] = sampleColormap(colormap, max > 0 ? values[i] / max : 0);
+        color.setRGB(r, g, b, THREE.SRGBColorSpace);
+        colors.set(Math.fround(cellId), [color.r, color.g, color.b]);
+      });
+
+      layer.setFillColors((cellId) => colors.get(cellId));
+      this.updateFillLegend({ gene, max, normalize });
+    } catch (error) {
+      console.error(`Error coloring cells by ${gene}:`, error);
+      if (request !== this.fillRequest) return;
+      layer.setFillColors(null);
+      this.updateFillLegend(null);
     }
   }
 
+  /**
+   * Apply the palette and hidden clusters to every loaded layer without rebuilding it
+   */
+  updateClusterColors() {
+    [...Object.values(this.boundaryLayers), ...Object.values(this.nucleiLayers)]
+      .filter((layer) => layer.loaded)
+      .forEach((layer) => layer.applyCellColors());
+    store.set("forceRender", true);
+  }
+
+  /**
+   * Get the expression value of every cell of a layer
+   * @param {{cellOffsets: Uint32Array, points: Float32Array}} data - Boundary data
+   * @param {Uint32Array} counts - Transcripts per cell
+   * @param {boolean} normalize - Divide by the cell area, in µm² or px² for uncalibrated variants
+   * @returns {Float32Array} Value per cell index
+   */
+  getExpressionValues(data, counts, normalize) {
+    const values = Float32Array.from(counts);
+    if (!normalize) return values;
+
+    const pixelArea = config.dataPaths.getPixelSize() ** 2;
+    values.forEach((count, index) => {
+      const { start, end } = getCellRange(data, index);
+      const area = polygonArea(data.points, start, end) * pixelArea;
+      values[index] = area > 0 ? count / area : 0;
+    });
+    return values;
+  }
+
+  /**
+   * Show the colormap legend of the expression fill, when fills are visible
+   * @param {{gene: string, max: number, normalize: boolean}|null} [legend] - New legend,
+   *   null to hide it, omitted to keep the current one
+   */
+  updateFillLegend(legend = this.fillLegend) {
+    this.fillLegend = legend;
+    const element = document.getElementById("fill-legend");
+    if (!element) return;
+
+    const visible =
+      !!legend &&
+      store.get("showCellBoundaries") &&
+      store.get("viewMode") !== "3d";
+    element.style.display = visible ? "block" : "none";
+    if (!visible) return;
+
+    document.getElementById("fill-legend-title").textContent = legend.normalize
+      ? `${legend.gene} per ${config.dataPaths.getLengthUnit()}²`
+      : `${legend.gene} per cell`;
+    document.getElementById("fill-legend-bar").style.background =
+      colormapGradient(store.get("fillColormap"));
+    document.getElementById("fill-legend-max").textContent = legend.normalize
+      ? legend.max.toPrecision(3)
+      : legend.max.toLocaleString();
+  }
+
   /**
    * Load boundaries for a specific z-stack
    * @param {number} zstack - The z-stack to load
@@ -907,12 +1112,19 @@ export class CellBoundaries {
 
     // Pass the sceneManager reference to the boundary layer
     this.boundaryLayers[zstack].sceneManager = this.sceneManager;
+    this.boundaryLayers[zstack].setZStep(this.getZStep());
+    this.boundaryLayers[zstack].lastUsed = ++this.useCount;
 
     // Load the layer data
     this.boundaryLayers[zstack]
       .load()
       .then(() => {
         // console.log(`Successfully loaded boundary data for z-stack ${zstack}`);
+        this.enforceMemoryBudget();
+
+        if (zstack === store.get("zstack").toString()) {
+          this.updateFillColors();
+        }
 
         // After loading, check if this is the current z-stack and update raycasting
         if (zstack === store.get("zstack") && store.get("showCellBoundaries")) {
@@ -947,11 +1159,13 @@ export class CellBoundaries {
         this.scene,
         "nuclei"
       );
+      this.nucleiLayers[zstack].setZStep(this.getZStep());
+      this.nucleiLayers[zstack].lastUsed = ++this.useCount;
       this.scene.add(this.nucleiLayers[zstack].group);
     }
 
     // Load the layer data
-    this.nucleiLayers[zstack].load();
+    this.nucleiLayers[zstack].load().then(() => this.enforceMemoryBudget());
   }
 
   /**
@@ -963,11 +1177,12 @@ export class CellBoundaries {
     console.log(`Updating visibility of ${type} to ${visible}`);
 
     const currentZstack = store.get("zstack").toString();
+    const shownZStacks = this.getShownZStacks(currentZstack);
     if (type === "boundaries") {
       // Update all boundary layers
       Object.values(this.boundaryLayers).forEach((layer) => {
         if (visible == true) {
-          if (layer.zstack == currentZstack) {
+          if (shownZStacks.includes(layer.zstack)) {
             layer.visible = visible;
             layer.group.visible = visible;
           }
@@ -1042,10 +1257,11 @@ export class CellBoundaries {
         console.log("Cleared active spatial geometry due to visibility change");
       }
     } else if (type === "nuclei") {
-      // Update all nuclei layers
+      // Update all nuclei layers, showing only those of the shown layers like the boundaries
       Object.values(this.nucleiLayers).forEach((layer) => {
-        layer.visible = visible;
-        layer.group.visible = visible;
+        const shown = visible && shownZStacks.includes(layer.zstack);
+        layer.visible = shown;
+        layer.group.visible = shown;
       });
     }
 
@@ -0,0 +1,57 @@
+/**
+ * colormaps.js
+ * Perceptually uniform colormaps for continuous values, as evenly spaced
+ * color stops (sampled from the matplotlib maps) that are interpolated linearly
+ */
+
+export const COLORMAPS = {
+  viridis: ["#440154", "#472d7b", "#3b528b", "#2c728e", "#21918c", "#28ae80", "#5ec962", "#addc30", "#fde725"],
+  magma: ["#000004", "#1c1044", "#4f127b", "#812581", "#b5367a", "#e55964", "#fb8761", "#fec287", "#fcfdbf"],
+  inferno: ["#000004", "#1f0c48", "#550f6d", "#88226a", "#ba3655", "#e35933", "#f98e09", "#f9cb35", "#fcffa4"],
+  plasma: ["#0d0887", "#4c02a1", "#7e03a8", "#a92395", "#cc4778", "#e56b5d", "#f89441", "#fdc328", "#f0f921"],
+  cividis: ["#00224e", "#123570", "#3b496c", "#575d6d", "#707173", "#8a8678", "#a59c74", "#c3b369", "#fee838"],
+};
+
+export const DEFAULT_COLORMAP = "viridis";
+
+/**
+ * Convert a "#rrggbb" color to components in 0-1
+ * @param {string} hex
+ * @returns {number[]} [r, g, b]
+ */
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255];
+}
+
+// Stops as [r, g, b] in 0-1, converted once
+const STOPS = {};
+Object.entries(COLORMAPS).forEach(([name, colors]) => {
+  STOPS[name] = colors.map(hexToRgb);
+});
+
+/**
+ * Sample a colormap
+ * @param {string} name - Colormap name, unknown names fall back to the default
+ * @param {number} t - Position in 0-1, clamped
+ * @returns {number[]} [r, g, b] in 0-1
+ */
+export function sampleColormap(name, t) {
+  const stops = STOPS[name] || STOPS[DEFAULT_COLORMAP];
+  const position = Math.max(0, Math.min(1, isNaN(t) ? 0 : t)) * (stops.length - 1);
+  const i = Math.min(Math.floor(position), stops.length - 2);
+  const f = position - i;
+  const a = stops[i];
+  const b = stops[i + 1];
+  return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f];
+}
+
+/**
+ * Get a CSS gradient showing a colormap from left to right, e.g. for legends
+ * @param {string} name - Colormap name
+ * @returns {string}
+ */
+export function colormapGradient(name) {
+  const colors = COLORMAPS[name] || COLORMAPS[DEFAULT_COLORMAP];
+  return `linear-gradient(to right, ${colors.join(", ")})`;
+}
@@ -82,30 +82,145 @@ export const config = {
         // Current dataset variant (50pe, 75pe, etc.)
         currentVariant: '6s',  // Default to 50pe
         // currentVariant: 'set1',  // Default to 50pe
-        // Available variants
-        // availableVariants: ['set1'],
+
+        // Dataset registry (datasets -> variants), filled by loadDatasetRegistry()
+        datasets: {},
+
+        // Available variants for the current dataset
         availableVariants: ['50pe', '75pe', '6s'],
-        
-        // Layer ranges for each variant
-        // variantLayers: {
-        //     'set1': { min: 0, max: 0 },
-        // },
+
+        // Layer ranges for each variant of the current dataset
         variantLayers: {
             '50pe': { min: 0, max: 59 },
             '75pe': { min: 0, max: 60 },
             '6s': { min: 0, max: 79 }
         },
-        
-        // Nuclei visualization support for each variant
+
+        // Nuclei visualization support for each variant of the current dataset
         nucleiSupport: {
             '50pe': true,
             '75pe': true,
             '6s': true
         },
-        // nucleiSupport: {
-        //     'set1': false,
-        // },
-        
+
+        // Physical calibration for each variant of the current dataset: { pixelSize, zStep } in µm
+        variantCalibration: {},
+
+        // Request gene data in the binary format (see GeneBinaryFormat.js), falling back to JSON
+        useBinaryGenes: true,
+
+        // Load gene z-layers on demand around the current layer instead of whole genes (server only)
+        lazyGeneLayers: true,
+
+        // Number of layers above and below the current one to prefetch
+        genePrefetchRange: 2,
+
+        // Loaded layers farther than this from the current one are released
+        geneRetainRange: 6,
+
+        // Pending registry request, shared by all callers
+        _registryPromise: null,
+
+        // Function to get the dataset registry path
+        getRegistryPath: function() {
+            if (config.environment.isLocal) {
+                return `${this.basePath}/datasets.json`;
+            } else {
+                return `${config.environment.serverUrl}/api/datasets`;
+            }
+        },
+
+        // Load the dataset registry from the server (or datasets.json locally)
+        loadDatasetRegistry: function() {
+            if (!this._registryPromise) {
+                this._registryPromise = fetch(this.getRegistryPath())
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`Failed to load dataset registry: ${response.status} ${response.statusText}`);
+                        }
+                        return response.json();
+                    })
+                    .catch(error => {
+                        console.warn('Using built-in dataset registry:', error.message);
+                        return this.getDefaultRegistry();
+                    })
+                    .then(registry => {
+                        this.applyRegistry(registry);
+                        return registry;
+                    });
+            }
+            return this._registryPromise;
+        },
+
+        // Build a registry holding only the current dataset from the defaults above, used when
+        // neither the server nor a local datasets.json can be reached. Same shape as GET /api/datasets.
+        getDefaultRegistry: function() {
+            return {
+                defaultDataset: this.currentDataset,
+                datasets: [
+                    {
+                        id: this.currentDataset,
+                        variants: this.availableVariants.map(id => ({
+                            id,
+                            layers: this.variantLayers[id],
+                            nuclei: !!this.nucleiSupport[id]
+                        }))
+                    }
+                ]
+            };
+        },
+
+        // Index a registry response and select the current dataset from it
+        applyRegistry: function(registry) {
+            this.datasets = {};
+            (registry.datasets || []).forEach(dataset => {
+                if (dataset.variants && dataset.variants.length > 0) {
+                    this.datasets[dataset.id] = dataset;
+                }
+            });
+
+            const datasetIds = Object.keys(this.datasets);
+            if (datasetIds.length === 0) {
+                console.error('Dataset registry is empty');
+                return;
+            }
+
+            if (!this.datasets[this.currentDataset]) {
+                this.currentDataset = this.datasets[registry.defaultDataset] ? registry.defaultDataset : datasetIds[0];
+            }
+            this.applyDataset(this.currentDataset);
+        },
+
+        // Populate the per-variant lookups for a dataset from the registry
+        applyDataset: function(datasetId) {
+            const dataset = this.datasets[datasetId];
+            if (!dataset) return false;
+
+            this.currentDataset = datasetId;
+            this.availableVariants = dataset.variants.map(variant => variant.id);
+            this.variantLayers = {};
+            this.nucleiSupport = {};
+            this.variantCalibration = {};
+            dataset.variants.forEach(variant => {
+                this.variantLayers[variant.id] = variant.layers || { min: 0, max: 0 };
+                this.nucleiSupport[variant.id] = !!variant.nuclei;
+                this.variantCalibration[variant.id] = {
+                    pixelSize: variant.pixelSize || config.visualization.defaultPixelSize,
+                    zStep: variant.zStep || config.visualization.defaultZStep
+                };
+            });
+
+            if (!this.availableVariants.includes(this.currentVariant)) {
+                this.currentVariant = this.availableVariants[0];
+            }
+            return true;
+        },
+
+        // Get the ids of all datasets in the registry
+        getDatasetIds: function() {
+            return Object.keys(this.datasets);
+        },
+
         // Check if nuclei visualization is supported for the current variant
         hasNucleiSupport: function() {
             return this.nucleiSupport[this.currentVariant] || false;
@@ -129,12 +244,54 @@ export const config = {
             return range.max;
         },
         
+        // Get the size of a coordinate unit in µm for the current variant, 1 when it is not
+        // calibrated so lengths stay in pixels (see getLengthUnit)
+        getPixelSize: function() {
+            return this.hasPixelSize() ? this.getCalibratedPixelSize() : 1;
+        },
+        
+        // Get the pixel size of the current variant from the registry or the default, null if there is none
+        getCalibratedPixelSize: function() {
+            const calibration = this.variantCalibration[this.currentVariant];
+            return calibration ? calibration.pixelSize : config.visualization.defaultPixelSize;
+        },
+        
+        // Check whether lengths of the current variant can be given in µm
+        hasPixelSize: function() {
+            return this.getCalibratedPixelSize() > 0;
+        },
+        
+        // Get the unit of lengths scaled by getPixelSize(): 'µm', or 'px' for uncalibrated variants
+        getLengthUnit: function() {
+            return this.hasPixelSize() ? 'µm' : 'px';
+        },
+        
+        // Get the distance between z-layers in µm for the current variant
+        getLayerSpacing: function() {
+            const calibration = this.variantCalibration[this.currentVariant];
+            return calibration ? calibration.zStep : config.visualization.defaultZStep;
+        },
+        
+        // Get the distance between z-layers in coordinate units, for stacking layers in the 3D view.
+        // Without a pixel size the µm spacing cannot be converted, so a fixed spacing is used.
+        getZStep: function() {
+            if (!this.hasPixelSize()) return config.visualization.uncalibratedZStep;
+            return this.getLayerSpacing() / this.getPixelSize();
+        },
+        
         // Initialize dataset variant from URL parameter if present
         initVariantFromURL: function() {
-            // Check for 'data' parameter in URL
+            // Check for 'dataset' and 'data' parameters in URL
             const urlParams = new URLSearchParams(window.location.search);
+            const datasetParam = urlParams.get('dataset');
             const dataParam = urlParams.get('data');
-            
+
+            if (datasetParam && datasetParam !== this.currentDataset) {
+                if (this.applyDataset(datasetParam)) {
+                    console.log(`Setting dataset from URL parameter: ${datasetParam}`);
+                }
+            }
+
             if (dataParam && this.availableVariants.includes(dataParam)) {
                 console.log(`Setting dataset variant from URL parameter: ${dataParam}`);
                 this.currentVariant = dataParam;
@@ -165,7 +322,7 @@ export const config = {
             if (config.environment.isLocal) {
                 return `${this.getDatasetPath()}/gene_list.json`;
             } else {
-                return `${config.environment.serverUrl}/api/genes?data=${this.currentVariant}`;
+                return `${config.environment.serverUrl}/api/genes?dataset=${this.currentDataset}&data=${this.currentVariant}`;
             }
         },
         
@@ -174,10 +331,33 @@ export const config = {
             if (config.environment.isLocal) {
                 return `${this.getDatasetPath()}/genes_optimized/${geneName}.json.gz`;
             } else {
-                return `${config.environment.serverUrl}/api/genes/${geneName}?data=${this.currentVariant}`;
+                return `${config.environment.serverUrl}/api/genes/${geneName}?dataset=${this.currentDataset}&data=${this.currentVariant}`;
+            }
+        },
+
+        // Function to get the binary gene data path
+        getGeneBinaryPath: function(geneName) {
+            if (config.environment.isLocal) {
+                return `${this.getDatasetPath()}/genes_binary/${geneName}.bin`;
+            } else {
+                return `${config.environment.serverUrl}/api/genes/${geneName}?format=bin&dataset=${this.currentDataset}&data=${this.currentVariant}`;
+            }
+        },
+
+        // Function to get the per-layer index of a gene, null when layers can't be requested separately
+        getGeneLayerIndexPath: function(geneName) {
+            if (config.environment.isLocal) {
+                return null;
+            } else {
+                return `${config.environment.serverUrl}/api/genes/${geneName}/layers?dataset=${this.currentDataset}&data=${this.currentVariant}`;
             }
         },
 
+        // Function to get the path to a single z-layer of a gene in the binary format
+        getGeneLayerPath: function(geneName, layer) {
+            return `${config.environment.serverUrl}/api/genes/${geneName}/layers/${layer}?dataset=${this.currentDataset}&data=${this.currentVariant}`;
+        },
+
         // Function to get the clusters data path
         getClustersPath: function() {
             if (config.environment.isLocal) {
@@ -201,7 +381,7 @@ export const config = {
             if (config.environment.isLocal) {
                 return `${this.getDatasetPath()}/contours/contours_processed_compressed/contours_z_${layer}_flat.json.gz`;
             } else {
-                return `${config.environment.serverUrl}/api/contours/${layer}?data=${this.currentVariant}`;
+                return `${config.environment.serverUrl}/api/contours/${layer}?dataset=${this.currentDataset}&data=${this.currentVariant}`;
             }
         },
         
@@ -211,7 +391,7 @@ export const config = {
                 // Since we don't have an uncompressed directory, we'll use the raw contours as fallback
                 return `${this.getDatasetPath()}/contours/contours_raw/contours_z_${layer}_flat.json`;
             } else {
-                return `${config.environment.serverUrl}/api/contours/${layer}?data=${this.currentVariant}`;
+                return `${config.environment.serverUrl}/api/contours/${layer}?dataset=${this.currentDataset}&data=${this.currentVariant}`;
             }
         },
         
@@ -220,7 +400,7 @@ export const config = {
             if (config.environment.isLocal) {
                 return `${this.getDatasetPath()}/contours/contours_nuclei_processed_compressed/contours_nuclei_z_${layer}_flat.json.gz`;
             } else {
-                return `${config.environment.serverUrl}/api/nuclei/${layer}?data=${this.currentVariant}`;
+                return `${config.environment.serverUrl}/api/nuclei/${layer}?dataset=${this.currentDataset}&data=${this.currentVariant}`;
             }
         },
         
@@ -229,7 +409,7 @@ export const config = {
             if (config.environment.isLocal) {
                 return `${this.getDatasetPath()}/contours/contours_nuclei_processed_uncompressed/contours_nuclei_z_${layer}_flat.json`;
             } else {
-                return `${config.environment.serverUrl}/api/nuclei/${layer}?data=${this.currentVariant}`;
+                return `${config.environment.serverUrl}/api/nuclei/${layer}?dataset=${this.currentDataset}&data=${this.currentVariant}`;
             }
         },
     },
@@ -246,6 +426,30 @@ export const config = {
         defaultBoundaryOpacity: 0.5,
         defaultBoundarySubsample: 10,
         defaultInnerColoring: true,
-        defaultInnerColoringOpacity: 0.5
+        defaultInnerColoringOpacity: 0.5,
+        // Layers above and below the current one when projection mode is first enabled
+        defaultProjectionDepth: 7,
+        // Opacity of the outermost layers in the depth-faded projection
+        projectionMinOpacity: 0.15,
+        // Size of a coordinate unit in µm for variants whose registry entry has no pixelSize,
+        // null to show their lengths and areas in pixels
+        defaultPixelSize: null,
+        // Distance between z-layers in µm, for variants whose registry entry has no zStep
+        defaultZStep: 1.5,
+        // Distance between z-layers in the 3D view in coordinate units (pixels) for variants
+        // without a pixel size, for display only
+        uncalibratedZStep: 1.5,
+        // Boundary layers shown above and below the current one in the 3D view (outside projection mode)
+        boundaryStackDepth: 5,
+        // Boundary and nuclei layers loaded ahead in the direction the z-stack last moved
+        boundaryPrefetchDepth: 2,
+        // Memory kept for loaded boundary and nuclei layers in MB, least recently shown ones are dropped beyond it
+        boundaryMemoryBudgetMB: 512
+    },
+
+    // Background data processing (see WorkerPool.js)
+    workers: {
+        // Upper bound on the number of data workers
+        maxWorkers: 4
     }
 };
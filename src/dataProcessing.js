@@ -0,0 +1,358 @@
+/**
+ * dataProcessing.js
+ * Fetching, decoding and geometry buffer preparation for boundary and gene data.
+ * Has no DOM or scene access so it can run inside dataWorker.js, or on the main
+ * thread when workers are unavailable. All results are made of typed arrays so
+ * they can be transferred back without copying.
+ */
+
+import { Color, ShapeUtils, Vector2 } from "three";
+import { ungzip } from "pako";
+import { isGeneBinary, decodeGeneBinary } from "./GeneBinaryFormat.js";
+import { buildSpatialIndex, assignPoints } from "./spatialIndex.js";
+
+const CHUNK_SIZE = 100; // Number of cells per chunk
+const MAX_POINTS_PER_CELL = 50; // Maximum points per cell when simplified
+
+/**
+ * Fetch a URL into an ArrayBuffer, reporting download progress
+ * @param {string} url - Absolute URL to fetch
+ * @param {Object} options - fetch() options
+ * @param {Function} [onProgress] - Called with (loaded, total) bytes
+ * @returns {Promise<{response: Response, buffer: ArrayBuffer}>}
+ */
+export async function fetchBuffer(url, options = {}, onProgress = null) {
+  const response = await fetch(url, options);
+  const total = parseInt(response.headers.get("content-length"), 10) || 0;
+
+  if (!response.body || !onProgress) {
+    return { response, buffer: await response.arrayBuffer() };
+  }
+
+  const reader = response.body.getReader();
+  const parts = [];
+  let loaded = 0;
+  onProgress(loaded, total);
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(value);
+    loaded += value.byteLength;
+    onProgress(loaded, total);
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.byteLength;
+  });
+  return { response, buffer: bytes.buffer };
+}
+
+/**
+ * Decode a boundary file body, which may be plain JSON or gzipped JSON
+ * @param {ArrayBuffer} buffer - Response body
+ * @returns {Object|null} Parsed boundary data, or null if the server answered with an HTML page
+ */
+export function parseBoundaryBuffer(buffer) {
+  if (buffer.byteLength === 0) {
+    throw new Error("Received empty compressed data");
+  }
+
+  const bytes = new Uint8Array(buffer);
+  const [byte1, byte2] = bytes;
+
+  // Plain JSON despite the .gz extension (starts with '{"')
+  if (byte1 === 0x7b && byte2 === 0x22) {
+    try {
+      return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+      throw new Error(`Failed to parse direct JSON: ${error.message}`);
+    }
+  }
+
+  if (byte1 === 0x1f && byte2 === 0x8b) {
+    try {
+      return JSON.parse(new TextDecoder().decode(ungzip(bytes)));
+    } catch (error) {
+      throw new Error(`Failed to process gzipped data: ${error.message}`);
+    }
+  }
+
+  // An HTML document (starts with '<!'), likely an error page
+  if (byte1 === 0x3c && byte2 === 0x21) {
+    console.error(
+      "Received HTML content instead of JSON or gzip data:",
+      new TextDecoder().decode(bytes.subarray(0, 200))
+    );
+    return null;
+  }
+
+  throw new Error(
+    `Unknown file format. First bytes: 0x${byte1.toString(
+      16
+    )} 0x${byte2.toString(16)}`
+  );
+}
+
+/**
+ * Convert parsed boundary JSON into typed arrays
+ * @param {Object} data - Boundary data with cellOffsets, points and cellIds arrays
+ * @returns {{cellOffsets: Uint32Array, points: Float32Array, cellIds: Float64Array}}
+ */
+export function toBoundaryData(data) {
+  if (!data || !data.cellOffsets || !data.points) {
+    throw new Error("Invalid boundary data format");
+  }
+
+  const cellOffsets = Uint32Array.from(data.cellOffsets);
+  const numCells = Math.max(0, cellOffsets.length - 1);
+
+  // Fall back to the cell index when the file carries no ids
+  const cellIds = data.cellIds
+    ? Float64Array.from(data.cellIds)
+    : Float64Array.from({ length: numCells }, (_, i) => i);
+
+  return { cellOffsets, points: Float32Array.from(data.points), cellIds };
+}
+
+/**
+ * Fetch and decode a boundary or nuclei layer
+ * @param {string} url - Absolute URL of the compressed file
+ * @param {string} fallbackUrl - Absolute URL of the uncompressed file, used when the server answers with HTML
+ * @param {Function} [onProgress] - Called with (loaded, total) bytes
+ * @returns {Promise<{cellOffsets: Uint32Array, points: Float32Array, cellIds: Float64Array}>}
+ */
+export async function fetchBoundaryData(url, fallbackUrl, onProgress = null) {
+  const headers = { "Cache-Control": "no-cache" };
+  const { response, buffer } = await fetchBuffer(url, { headers }, onProgress);
+  if (!response.ok) {
+    throw new Error(
+      `Failed to fetch gzipped data: ${response.status} ${response.statusText}`
+    );
+  }
+
+  let parsed = parseBoundaryBuffer(buffer);
+  if (parsed === null) {
+    // Fall back to the uncompressed file
+    const fallback = await fetch(fallbackUrl, { headers });
+    if (!fallback.ok) {
+      throw new Error(
+        `Received HTML error page instead of data. Fallback also failed: ${fallback.status} ${fallback.statusText}`
+      );
+    }
+    parsed = await fallback.json();
+  }
+
+  return toBoundaryData(parsed);
+}
+
+/**
+ * Build merged line and fill buffers for boundary data, CHUNK_SIZE cells per chunk
+ * @param {{cellOffsets: Uint32Array, points: Float32Array, cellIds: Float64Array}} data - Boundary data
+ * @param {Object} options
+ * @param {string} options.type - 'boundaries' or 'nuclei', only boundaries get fills
+ * @param {boolean} options.innerColoring - Whether to build cluster colored fills
+ * @param {number} options.opacity - Alpha written to the fill colors
+ * @param {Object} context - Shared data
+ * @param {Object} context.palette - Cluster name to color
+ * @param {Object} context.clusters - Cell id to cluster name
+ * @returns {{chunks: Object[], totalPoints: number}}
+ */
+export function buildBoundaryBuffers(data, options, context = {}) {
+  const { cellOffsets, points, cellIds } = data;
+  const clusters = context.clusters || {};
+  const palette = context.palette || {};
+  const buildFills = options.innerColoring && options.type === "boundaries";
+  const numCells = Math.max(0, cellOffsets.length - 1);
+
+  const chunks = [];
+  let totalPoints = 0;
+
+  for (let chunkStart = 0; chunkStart < numCells; chunkStart += CHUNK_SIZE) {
+    const chunkEnd = Math.min(chunkStart + CHUNK_SIZE, numCells);
+    const linePositions = [];
+    const lineIndices = [];
+    const lineCellIds = [];
+    const fillPositions = [];
+    const fillIndices = [];
+    const fillColors = [];
+    const fillClusterIds = [];
+
+    for (let index = chunkStart; index < chunkEnd; index++) {
+      const start = cellOffsets[index];
+      const end = cellOffsets[index + 1];
+      const length = end - start;
+      if (length <= 0) continue;
+      totalPoints += length;
+
+      // Simplify points if needed
+      const step =
+        length > MAX_POINTS_PER_CELL
+          ? Math.ceil(length / MAX_POINTS_PER_CELL)
+          : 1;
+      const boundary = [];
+      for (let i = 0; i < length; i += step) {
+        const point = (start + i) * 2;
+        boundary.push({ x: points[point], y: points[point + 1] });
+      }
+
+      // Line segments around the cell, closing the loop
+      const lineBase = linePositions.length / 3;
+      boundary.forEach((pt) => linePositions.push(pt.x, pt.y, 0));
+      linePositions.push(boundary[0].x, boundary[0].y, 0);
+      for (let i = 0; i <= boundary.length; i++) lineCellIds.push(cellIds[index]);
+      for (let i = 0; i < boundary.length; i++) {
+        lineIndices.push(lineBase + i, lineBase + i + 1);
+      }
+
+      if (!buildFills) continue;
+
+      // Same triangulation as THREE.ShapeGeometry, which drops a duplicated end point
+      let contour = boundary.map((pt) => new Vector2(pt.x, pt.y));
+      if (!ShapeUtils.isClockWise(contour)) contour = contour.reverse();
+      const faces = ShapeUtils.triangulateShape(contour, []);
+
+      const color = new Color(palette[clusters[cellIds[index].toString()]] || 0x000000);
+      const fillBase = fillPositions.length / 3;
+      contour.forEach((pt) => {
+        fillPositions.push(pt.x, pt.y, 0);
+        fillColors.push(color.r, color.g, color.b, options.opacity);
+        fillClusterIds.push(cellIds[index]);
+      });
+      faces.forEach((face) => {
+        fillIndices.push(fillBase + face[0], fillBase + face[1], fillBase + face[2]);
+      });
+    }
+
+    if (linePositions.length === 0) continue;
+
+    chunks.push({
+      linePositions: new Float32Array(linePositions),
+      lineIndices: new Uint32Array(lineIndices),
+      lineCellIds: new Float32Array(lineCellIds),
+      fill:
+        fillPositions.length > 0
+          ? {
+              positions: new Float32Array(fillPositions),
+              indices: new Uint32Array(fillIndices),
+              colors: new Float32Array(fillColors),
+              clusterIds: new Float32Array(fillClusterIds),
+            }
+          : null,
+    });
+  }
+
+  return { chunks, totalPoints };
+}
+
+/**
+ * Decode a gene data response body into typed arrays
+ * @param {ArrayBuffer} buffer - Binary, gzipped JSON or plain JSON gene data
+ * @returns {{layers: Object<string, Float32Array>}} Interleaved x,y coordinates per layer
+ */
+export function decodeGeneData(buffer) {
+  if (isGeneBinary(buffer)) {
+    return decodeGeneBinary(buffer);
+  }
+
+  // Gzip magic bytes, when the server did not set Content-Encoding
+  let bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    bytes = ungzip(bytes);
+  }
+  const data = JSON.parse(new TextDecoder().decode(bytes));
+
+  const layers = {};
+  Object.entries(data.layers || {}).forEach(([layer, coordinates]) => {
+    layers[layer] = Float32Array.from(coordinates);
+  });
+  return { ...data, layers };
+}
+
+/**
+ * Collect the distinct buffers behind the typed arrays of a result, for postMessage transfer
+ * @param {*} value - Result object
+ * @param {Set<ArrayBuffer>} [buffers]
+ * @returns {ArrayBuffer[]}
+ */
+export function collectTransferables(value, buffers = new Set()) {
+  if (ArrayBuffer.isView(value)) {
+    buffers.add(value.buffer);
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((child) => collectTransferables(child, buffers));
+  }
+  return [...buffers];
+}
+
+/**
+ * Task handlers, keyed by task type. Each receives the payload, the shared
+ * context (palette and clusters) and a progress callback.
+ */
+export const taskHandlers = {
+  /**
+   * Fetch, decode and build buffers for one boundary or nuclei layer
+   * @returns {{data: Object, chunks: Object[], totalPoints: number}}
+   */
+  async loadBoundaries({ url, fallbackUrl, options }, context, onProgress) {
+    const data = await fetchBoundaryData(url, fallbackUrl, onProgress);
+    return { data, ...buildBoundaryBuffers(data, options, context) };
+  },
+
+  /**
+   * Fetch one boundary layer and keep only its cell ids, e.g. to find the layers a cell appears in
+   * @returns {{cellIds: Float64Array}}
+   */
+  async loadCellIds({ url, fallbackUrl }, context, onProgress) {
+    const { cellIds } = await fetchBoundaryData(url, fallbackUrl, onProgress);
+    return { cellIds };
+  },
+
+  /**
+   * Assign the transcripts of one layer to the cells of the boundary layer at the same z.
+   * The boundary data is fetched when it is not passed in.
+   * @returns {{cellIds: Float64Array, genes: Object<string, {cellIndices: Int32Array, counts: Uint32Array, extracellular: number}>}}
+   */
+  async assignTranscripts({ boundaries, url, fallbackUrl, layers }) {
+    const data = boundaries || (await fetchBoundaryData(url, fallbackUrl));
+    const index = buildSpatialIndex(data);
+
+    const genes = {};
+    Object.entries(layers).forEach(([gene, coordinates]) => {
+      genes[gene] = assignPoints(index, data, coordinates);
+    });
+    return { cellIds: data.cellIds, genes };
+  },
+
+  /**
+   * Rebuild buffers for boundary data that is already loaded, e.g. after the fill settings changed
+   * @returns {{chunks: Object[], totalPoints: number}}
+   */
+  async buildBoundaries({ data, options }, context) {
+    return buildBoundaryBuffers(data, options, context);
+  },
+
+  /**
+   * Fetch and decode a gene, trying each URL in order until one answers with gene data
+   * @returns {{layers: Object<string, Float32Array>}}
+   */
+  async loadGene({ urls }, context, onProgress) {
+    let lastError = null;
+    for (const url of urls) {
+      try {
+        const { response, buffer } = await fetchBuffer(url, {}, onProgress);
+        if (!response.ok) {
+          throw new Error(
+            `Failed to fetch gene data: ${response.status} ${response.statusText}`
+          );
+        }
+        return decodeGeneData(buffer);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  },
+};
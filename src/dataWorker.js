@@ -0,0 +1,36 @@
+/**
+ * dataWorker.js
+ * Web Worker entry point for the WorkerPool. Runs taskHandlers from dataProcessing.js
+ * off the main thread and transfers the resulting typed arrays back.
+ *
+ * Messages in:  { id, type, payload } or { type: "setContext", payload }
+ * Messages out: { id, progress: [loaded, total] }, { id, result } or { id, error }
+ */
+
+import { taskHandlers, collectTransferables } from "./dataProcessing.js";
+
+// Palette and clusters, sent by the pool whenever they change
+let context = {};
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+
+  if (type === "setContext") {
+    context = payload || {};
+    return;
+  }
+
+  try {
+    const handler = taskHandlers[type];
+    if (!handler) {
+      throw new Error(`Unknown task type: ${type}`);
+    }
+
+    const result = await handler(payload, context, (loaded, total) =>
+      self.postMessage({ id, progress: [loaded, total] })
+    );
+    self.postMessage({ id, result }, collectTransferables(result));
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,165 @@
+/**
+ * geometry.js
+ * Polygon helpers for the flat boundary format, where cell i has the points
+ * cellOffsets[i] .. cellOffsets[i + 1] - 1 and point j is (points[2j], points[2j + 1])
+ */
+
+/**
+ * Get the point range of a cell
+ * @param {{cellOffsets: Uint32Array}} data - Boundary data
+ * @param {number} index - Cell index
+ * @returns {{start: number, end: number}} Point indices, end exclusive
+ */
+export function getCellRange(data, index) {
+  return { start: data.cellOffsets[index], end: data.cellOffsets[index + 1] };
+}
+
+/**
+ * Check whether a point lies inside a polygon (even-odd rule)
+ * @param {Float32Array} points - Interleaved x,y polygon points
+ * @param {number} start - First point index of the polygon
+ * @param {number} end - Point index after the last one
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function pointInPolygon(points, start, end, x, y) {
+  let inside = false;
+  for (let i = start, j = end - 1; i < end; j = i++) {
+    const xi = points[i * 2];
+    const yi = points[i * 2 + 1];
+    const xj = points[j * 2];
+    const yj = points[j * 2 + 1];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Get the bounding box of a polygon
+ * @param {Float32Array} points - Interleaved x,y polygon points
+ * @param {number} start - First point index of the polygon
+ * @param {number} end - Point index after the last one
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+export function polygonBounds(points, start, end) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = start; i < end; i++) {
+    const x = points[i * 2];
+    const y = points[i * 2 + 1];
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Get the area of a polygon (shoelace formula)
+ * @param {Float32Array} points - Interleaved x,y polygon points
+ * @param {number} start - First point index of the polygon
+ * @param {number} end - Point index after the last one
+ * @returns {number} Area in squared data units
+ */
+export function polygonArea(points, start, end) {
+  let area = 0;
+  for (let i = start, j = end - 1; i < end; j = i++) {
+    area += points[j * 2] * points[i * 2 + 1] - points[i * 2] * points[j * 2 + 1];
+  }
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Get the centroid of a polygon, or the mean of its points when it has no area
+ * @param {Float32Array} points - Interleaved x,y polygon points
+ * @param {number} start - First point index of the polygon
+ * @param {number} end - Point index after the last one
+ * @returns {{x: number, y: number}}
+ */
+export function polygonCentroid(points, start, end) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  let mx = 0;
+  let my = 0;
+  for (let i = start, j = end - 1; i < end; j = i++) {
+    const cross = points[j * 2] * points[i * 2 + 1] - points[i * 2] * points[j * 2 + 1];
+    area += cross;
+    cx += (points[j * 2] + points[i * 2]) * cross;
+    cy += (points[j * 2 + 1] + points[i * 2 + 1]) * cross;
+    mx += points[i * 2];
+    my += points[i * 2 + 1];
+  }
+  if (area === 0) {
+    const n = Math.max(1, end - start);
+    return { x: mx / n, y: my / n };
+  }
+  return { x: cx / (3 * area), y: cy / (3 * area) };
+}
+
+/**
+ * Get the perimeter of a closed polygon
+ * @param {Float32Array} points - Interleaved x,y polygon points
+ * @param {number} start - First point index of the polygon
+ * @param {number} end - Point index after the last one
+ * @returns {number} Perimeter in data units
+ */
+export function polygonPerimeter(points, start, end) {
+  let perimeter = 0;
+  for (let i = start, j = end - 1; i < end; j = i++) {
+    perimeter += Math.hypot(
+      points[i * 2] - points[j * 2],
+      points[i * 2 + 1] - points[j * 2 + 1]
+    );
+  }
+  return perimeter;
+}
+
+/**
+ * Find the cell containing a point by testing every polygon
+ * @param {{cellOffsets: Uint32Array, points: Float32Array}} data - Boundary data
+ * @param {number} x
+ * @param {number} y
+ * @returns {number} Cell index, or -1 when the point is outside all cells
+ */
+export function findCellAt(data, x, y) {
+  const numCells = Math.max(0, data.cellOffsets.length - 1);
+  for (let index = 0; index < numCells; index++) {
+    const { start, end } = getCellRange(data, index);
+    if (end - start < 3) continue;
+    const bounds = polygonBounds(data.points, start, end);
+    if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) {
+      continue;
+    }
+    if (pointInPolygon(data.points, start, end, x, y)) return index;
+  }
+  return -1;
+}
+
+/**
+ * Count the interleaved x,y coordinates that fall inside a polygon
+ * @param {Float32Array} coordinates - Interleaved x,y points to test
+ * @param {Float32Array} points - Interleaved x,y polygon points
+ * @param {number} start - First point index of the polygon
+ * @param {number} end - Point index after the last one
+ * @returns {number}
+ */
+export function countPointsInPolygon(coordinates, points, start, end) {
+  const bounds = polygonBounds(points, start, end);
+  let count = 0;
+  for (let i = 0; i < coordinates.length; i += 2) {
+    const x = coordinates[i];
+    const y = coordinates[i + 1];
+    if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) {
+      continue;
+    }
+    if (pointInPolygon(points, start, end, x, y)) count++;
+  }
+  return count;
+}
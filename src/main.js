@@ -14,6 +14,20 @@ import { initializeCircularControls } from "./controls.js";
 import { SceneManager } from "./SceneManager.js";
 import { UIManager } from "./UIManager.js";
 import { GeneUIManager } from "./GeneUIManager.js";
+import { urlStateManager } from "./URLStateManager.js";
+import { sessionManager } from "./SessionManager.js";
+import { cellInspector } from "./CellInspector.js";
+import { cellAssignment } from "./CellAssignment.js";
+import { clusterLegend } from "./ClusterLegend.js";
+import { roiManager } from "./ROIManager.js";
+import { roiStats } from "./ROIStats.js";
+import { dataExporter } from "./DataExporter.js";
+import { figureExporter } from "./FigureExporter.js";
+import { scaleBar } from "./ScaleBar.js";
+import { measurementTool } from "./MeasurementTool.js";
+import { minimap } from "./Minimap.js";
+import { bookmarkManager } from "./BookmarkManager.js";
+import { zstackPlayer } from "./ZStackPlayer.js";
 
 /**
  * Main application class for MERFISH visualization
@@ -32,6 +46,9 @@ class MERFISHApp {
 
     // Flag to track if initialization has occurred
     this.hasInitialized = false;
+
+    // Incremented on every dataset switch to discard stale reloads
+    this.datasetSwitchId = 0;
   }
 
   /**
@@ -47,10 +64,16 @@ class MERFISHApp {
     try {
       // console.log('Initializing MERFISH application...');
 
+      // Load the dataset registry before resolving the variant
+      await config.dataPaths.loadDatasetRegistry();
+
       // Initialize dataset variant from URL parameter if present
       config.dataPaths.initVariantFromURL();
       // console.log(`Using dataset variant: ${config.dataPaths.currentVariant}`);
 
+      // Restore the shared view state before anything reads the store
+      urlStateManager.restore();
+
       // Load palette and clusters for initial variant
       await store.loadPaletteAndClusters();
 
@@ -76,11 +99,55 @@ class MERFISHApp {
       // Initialize UI components
       this.uiManager.initializeControlButtons();
       this.uiManager.initializeZStackSlider();
-      this.handleDatasetVariantChange();
+      this.uiManager.updateZStackSliderRange();
+      this.uiManager.initializeProjectionControls();
+      this.uiManager.initializeFillControls();
 
       // Populate the gene selector
       await this.geneUIManager.populateGeneSelector();
 
+      // Load genes restored from the URL, the loader was created after they were set
+      this.geneLoader.handleGeneSelectionChange(store.get("selectedGenes") || {});
+
+      // Keep the URL hash in sync with the view from now on
+      urlStateManager.onExternalRestore = () => this.geneUIManager.syncWithStore();
+      urlStateManager.start(this.sceneManager);
+
+      // Named sessions build on the same store state
+      sessionManager.initialize(this);
+
+      // Click a cell to inspect it
+      cellInspector.initialize(this);
+
+      // Transcript-to-cell assignment for the cell-level views
+      cellAssignment.initialize(this);
+
+      // Show, hide and recolor clusters
+      clusterLegend.initialize();
+
+      // Draw regions of interest
+      roiManager.initialize(this);
+      roiStats.initialize(this);
+
+      // Export the shown transcripts and cells as CSV, and the view as a figure
+      dataExporter.initialize(this);
+      figureExporter.initialize(this);
+
+      // Scale bar in µm for the current zoom
+      scaleBar.initialize(this);
+
+      // Cursor position readout and ruler
+      measurementTool.initialize(this);
+
+      // Overview of the current layer
+      minimap.initialize(this);
+
+      // Named camera views of the current dataset
+      bookmarkManager.initialize(this);
+
+      // Play and record the z-stack
+      zstackPlayer.initialize(this);
+
       // Start animation loop
       this.sceneManager.start();
 
@@ -112,18 +179,92 @@ class MERFISHApp {
     }
   }
 
+  /**
+   * Switch to another dataset and/or variant in place
+   * Gene selections and the camera are kept, data is reloaded
+   * @param {string} datasetId - Dataset to switch to
+   * @param {string|null} variantId - Variant to switch to, or null for the dataset's first variant
+   * @returns {Promise<boolean>} - True if the dataset was switched
+   */
+  async switchDataset(datasetId, variantId = null) {
+    const dataPaths = config.dataPaths;
+    const previousDataset = dataPaths.currentDataset;
+    const previousVariant = dataPaths.currentVariant;
+
+    if (datasetId !== previousDataset && !dataPaths.applyDataset(datasetId)) {
+      console.error(`Unknown dataset: ${datasetId}`);
+      return false;
+    }
+    if (variantId && !dataPaths.setVariant(variantId)) {
+      dataPaths.applyDataset(previousDataset);
+      dataPaths.setVariant(previousVariant);
+      return false;
+    }
+    if (
+      dataPaths.currentDataset === previousDataset &&
+      dataPaths.currentVariant === previousVariant
+    ) {
+      return false;
+    }
+
+    // Keep the URL shareable without reloading the page
+    const url = new URL(window.location);
+    url.searchParams.set("dataset", dataPaths.currentDataset);
+    url.searchParams.set("data", dataPaths.currentVariant);
+    window.history.replaceState(null, "", url.toString());
+
+    store.set("currentDataset", dataPaths.currentDataset);
+    await this.handleDatasetVariantChange();
+    return true;
+  }
+
   /**
    * Handle dataset variant change
+   * Tears down genes, boundaries and cluster data, then reloads them for the current variant
    */
-  handleDatasetVariantChange() {
+  async handleDatasetVariantChange() {
+    // Ignore results of a switch that has been superseded by a newer one
+    const switchId = ++this.datasetSwitchId;
+
     // Update z-stack slider range
     this.uiManager.updateZStackSliderRange();
 
-    // Clear any loaded genes and reset UI
+    // Playback steps through the layers of the previous variant
+    zstackPlayer.stop();
+
+    // Clear any loaded genes, selections are kept in the store
     if (this.geneLoader) {
       this.geneLoader.clearAllGenes();
     }
 
+    // Drop the boundary and nuclei layers of the previous variant
+    if (this.cellBoundaries) {
+      this.cellBoundaries.reset();
+    }
+    cellInspector.reset();
+    cellAssignment.invalidate();
+    roiStats.reset();
+
+    // The new variant may have another pixel size
+    scaleBar.update();
+    measurementTool.clear();
+
+    // Bookmarks are kept per variant
+    bookmarkManager.renderList();
+
+    // Reload palette and clusters for the new variant
+    store.clearPaletteAndClusters();
+    try {
+      await store.loadPaletteAndClusters();
+    } catch (error) {
+      console.error("Error reloading palette and clusters:", error);
+    }
+    if (switchId !== this.datasetSwitchId) return;
+
+    if (this.cellBoundaries) {
+      this.cellBoundaries.reload();
+    }
+
     // Get the gene selector and reset its populated state
     const geneSelector = document.getElementById("gene-selector");
     if (geneSelector) {
@@ -131,11 +272,18 @@ class MERFISHApp {
       if (this.hasInitialized) {
         geneSelector.setAttribute("data-populated", "false");
         geneSelector.innerHTML = "";
+        this.geneUIManager.clearActiveGenesList();
         // Reset the gene selector
-        this.geneUIManager.populateGeneSelector();
+        await this.geneUIManager.populateGeneSelector();
       }
       // Otherwise, it will be populated during initialization
     }
+    if (switchId !== this.datasetSwitchId) return;
+
+    // Reload the genes that are still selected
+    if (this.geneLoader) {
+      this.geneLoader.handleGeneSelectionChange(store.get("selectedGenes") || {});
+    }
   }
 
   /**
@@ -148,14 +296,17 @@ class MERFISHApp {
     // Clear existing options
     selectElement.innerHTML = "";
 
-    // Get variants from config's availableVariants array
-    const availableVariants = config.dataPaths.availableVariants;
+    // Get variants of the current dataset from the registry
+    const dataset = config.dataPaths.datasets[config.dataPaths.currentDataset];
+    const variants = dataset
+      ? dataset.variants
+      : config.dataPaths.availableVariants.map((id) => ({ id }));
 
     // Add options for each variant
-    availableVariants.forEach((variantId) => {
+    variants.forEach((variant) => {
       const option = document.createElement("option");
-      option.value = variantId;
-      option.textContent = variantId; // Using the ID as the display name
+      option.value = variant.id;
+      option.textContent = variant.label || variant.id;
       selectElement.appendChild(option);
     });
 
@@ -164,13 +315,6 @@ class MERFISHApp {
     if (currentVariant) {
       selectElement.value = currentVariant;
     }
-
-    // Add change event listener
-    selectElement.addEventListener("change", (e) => {
-      const variantId = e.target.value;
-      config.dataPaths.setCurrentVariant(variantId);
-      this.handleDatasetVariantChange();
-    });
   }
 }
 
@@ -560,6 +704,9 @@ document.addEventListener("DOMContentLoaded", async () => {
   document.body.appendChild(loadingIndicator);
 
   try {
+    // Load the dataset registry before resolving the variant
+    await config.dataPaths.loadDatasetRegistry();
+
     // Initialize dataset variant from URL parameter if present
     config.dataPaths.initVariantFromURL();
     console.log(`Using dataset variant: ${config.dataPaths.currentVariant}`);
@@ -0,0 +1,169 @@
+/**
+ * spatialIndex.js
+ * Uniform grid over the cell polygons of a boundary layer, for finding the cell
+ * containing a point without testing every polygon. Plain typed arrays only, so
+ * indexes can be built and queried inside dataWorker.js.
+ */
+
+import { pointInPolygon } from "./geometry.js";
+
+// Cell index returned for points outside every cell
+export const EXTRACELLULAR = -1;
+
+// Upper bound on grid columns and rows, keeps the bucket table small for sparse data
+const MAX_GRID_SIZE = 1024;
+
+/**
+ * Build a grid index over the polygons of a boundary layer
+ * Each polygon is registered in every bucket its bounding box overlaps.
+ * @param {{cellOffsets: Uint32Array, points: Float32Array}} data - Boundary data
+ * @returns {Object} Grid index, see findCell()
+ */
+export function buildSpatialIndex(data) {
+  const { cellOffsets, points } = data;
+  const numCells = Math.max(0, cellOffsets.length - 1);
+
+  // Bounding box of every polygon, minX, minY, maxX, maxY per cell
+  const cellBounds = new Float32Array(numCells * 4);
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (let cell = 0; cell < numCells; cell++) {
+    let cellMinX = Infinity;
+    let cellMinY = Infinity;
+    let cellMaxX = -Infinity;
+    let cellMaxY = -Infinity;
+    for (let i = cellOffsets[cell]; i < cellOffsets[cell + 1]; i++) {
+      const x = points[i * 2];
+      const y = points[i * 2 + 1];
+      if (x < cellMinX) cellMinX = x;
+      if (x > cellMaxX) cellMaxX = x;
+      if (y < cellMinY) cellMinY = y;
+      if (y > cellMaxY) cellMaxY = y;
+    }
+    cellBounds[cell * 4] = cellMinX;
+    cellBounds[cell * 4 + 1] = cellMinY;
+    cellBounds[cell * 4 + 2] = cellMaxX;
+    cellBounds[cell * 4 + 3] = cellMaxY;
+
+    if (cellMinX < minX) minX = cellMinX;
+    if (cellMinY < minY) minY = cellMinY;
+    if (cellMaxX > maxX) maxX = cellMaxX;
+    if (cellMaxY > maxY) maxY = cellMaxY;
+  }
+
+  if (numCells === 0 || !isFinite(minX)) {
+    return {
+      minX: 0,
+      minY: 0,
+      bucketSize: 1,
+      cols: 0,
+      rows: 0,
+      bucketStarts: new Uint32Array(1),
+      bucketCells: new Uint32Array(0),
+      cellBounds,
+    };
+  }
+
+  // Buckets about the size of an average cell
+  const width = Math.max(maxX - minX, 1e-6);
+  const height = Math.max(maxY - minY, 1e-6);
+  const bucketSize = Math.max(
+    Math.sqrt((width * height) / numCells),
+    width / MAX_GRID_SIZE,
+    height / MAX_GRID_SIZE
+  );
+  const cols = Math.min(MAX_GRID_SIZE, Math.floor(width / bucketSize) + 1);
+  const rows = Math.min(MAX_GRID_SIZE, Math.floor(height / bucketSize) + 1);
+
+  const bucketRange = (cell) => [
+    Math.min(cols - 1, Math.floor((cellBounds[cell * 4] - minX) / bucketSize)),
+    Math.min(rows - 1, Math.floor((cellBounds[cell * 4 + 1] - minY) / bucketSize)),
+    Math.min(cols - 1, Math.floor((cellBounds[cell * 4 + 2] - minX) / bucketSize)),
+    Math.min(rows - 1, Math.floor((cellBounds[cell * 4 + 3] - minY) / bucketSize)),
+  ];
+
+  // Count the cells per bucket, then fill the buckets (compressed rows)
+  const bucketStarts = new Uint32Array(cols * rows + 1);
+  for (let cell = 0; cell < numCells; cell++) {
+    const [col0, row0, col1, row1] = bucketRange(cell);
+    for (let row = row0; row <= row1; row++) {
+      for (let col = col0; col <= col1; col++) bucketStarts[row * cols + col + 1]++;
+    }
+  }
+  for (let i = 1; i < bucketStarts.length; i++) bucketStarts[i] += bucketStarts[i - 1];
+
+  const bucketCells = new Uint32Array(bucketStarts[bucketStarts.length - 1]);
+  const fill = bucketStarts.slice(0, -1);
+  for (let cell = 0; cell < numCells; cell++) {
+    const [col0, row0, col1, row1] = bucketRange(cell);
+    for (let row = row0; row <= row1; row++) {
+      for (let col = col0; col <= col1; col++) bucketCells[fill[row * cols + col]++] = cell;
+    }
+  }
+
+  return { minX, minY, bucketSize, cols, rows, bucketStarts, bucketCells, cellBounds };
+}
+
+/**
+ * Find the cell containing a point
+ * @param {Object} index - Grid index from buildSpatialIndex()
+ * @param {{cellOffsets: Uint32Array, points: Float32Array}} data - The boundary data the index was built from
+ * @param {number} x
+ * @param {number} y
+ * @returns {number} Cell index, or EXTRACELLULAR
+ */
+export function findCell(index, data, x, y) {
+  const col = Math.floor((x - index.minX) / index.bucketSize);
+  const row = Math.floor((y - index.minY) / index.bucketSize);
+  if (col < 0 || row < 0 || col >= index.cols || row >= index.rows) {
+    return EXTRACELLULAR;
+  }
+
+  const bucket = row * index.cols + col;
+  const { cellBounds } = index;
+  for (let i = index.bucketStarts[bucket]; i < index.bucketStarts[bucket + 1]; i++) {
+    const cell = index.bucketCells[i];
+    if (
+      x < cellBounds[cell * 4] ||
+      y < cellBounds[cell * 4 + 1] ||
+      x > cellBounds[cell * 4 + 2] ||
+      y > cellBounds[cell * 4 + 3]
+    ) {
+      continue;
+    }
+    if (pointInPolygon(data.points, data.cellOffsets[cell], data.cellOffsets[cell + 1], x, y)) {
+      return cell;
+    }
+  }
+  return EXTRACELLULAR;
+}
+
+/**
+ * Assign interleaved x,y points to cells
+ * @param {Object} index - Grid index from buildSpatialIndex()
+ * @param {{cellOffsets: Uint32Array, points: Float32Array}} data - The boundary data the index was built from
+ * @param {Float32Array} coordinates - Interleaved x,y points
+ * @returns {{cellIndices: Int32Array, counts: Uint32Array, extracellular: number}}
+ *   Cell index per point (EXTRACELLULAR outside cells), points per cell and points outside cells
+ */
+export function assignPoints(index, data, coordinates) {
+  const numCells = Math.max(0, data.cellOffsets.length - 1);
+  const cellIndices = new Int32Array(coordinates.length / 2);
+  const counts = new Uint32Array(numCells);
+  let extracellular = 0;
+
+  for (let i = 0; i < cellIndices.length; i++) {
+    const cell = findCell(index, data, coordinates[i * 2], coordinates[i * 2 + 1]);
+    cellIndices[i] = cell;
+    if (cell === EXTRACELLULAR) {
+      extracellular++;
+    } else {
+      counts[cell]++;
+    }
+  }
+
+  return { cellIndices, counts, extracellular };
+}
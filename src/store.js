@@ -19,6 +19,17 @@ export const store = {
     boundarySubsample: config.visualization.defaultBoundarySubsample,
     innerColoring: config.visualization.defaultInnerColoring, // New state property
     innerColoringOpacity: config.visualization.defaultInnerColoringOpacity, // New state property
+
+    // Cell fill coloring: "cluster" uses the palette, "expression" the transcripts of fillGene
+    fillMode: "cluster",
+    fillGene: null,
+    fillNormalize: false, // Expression per cell area (µm², px² when uncalibrated) instead of per cell
+    fillColormap: "viridis",
+    hiddenClusters: [], // Cluster names whose cells are not drawn
+    transcriptClusterFilter: [], // Cluster names, transcripts are only shown inside their cells, empty shows all
+    rois: [], // Regions of interest: { id, name, type, points } with interleaved x,y data coordinates
+    interactionMode: "navigate", // "navigate", an ROI tool ("rectangle", "lasso", "polygon") or the "measure" ruler
+
     useIntensityColor: true,
     intensityMin: 0,
     intensityMax: 255,
@@ -52,6 +63,8 @@ export const store = {
     showCellBoundaries: true,
     showControls: true,
     showCellNuclei: false,
+    showScaleBar: true,
+    showMinimap: true,
 
     // Cell nuclei control
     nucleiOpacity: 0.7,
@@ -65,6 +78,15 @@ export const store = {
 
     // Z-Stack control
     zstack: 40,
+
+    // Z-projection: gene layers in projectionRange are shown together,
+    // zstack stays at the center of the range for the boundaries
+    projectionMode: false,
+    projectionRange: null, // { min, max }, set when projection is first enabled
+    projectionStyle: "depth", // 'max' (max intensity) or 'depth' (faded away from the center)
+
+    // View mode: "2d" shows the current layer from above, "3d" stacks layers by depth
+    viewMode: "2d",
   },
 
   // Subscribers
@@ -118,6 +140,14 @@ export const store = {
     }
   },
 
+  /**
+   * Drop the palette and clusters of the previous variant
+   */
+  clearPaletteAndClusters() {
+    this.set("palette", null);
+    this.set("clusters", null);
+  },
+
   /**
    * Set a value in the store and notify subscribers
    * @param {string} key - The key to set
@@ -255,6 +285,8 @@ export const store = {
       // Bind checkboxes
       this.bindCheckbox("showCellBoundaries", "show-boundaries-checkbox");
       this.bindCheckbox("showCellNuclei", "show-nuclei-checkbox");
+      this.bindCheckbox("showScaleBar", "show-scale-bar-checkbox");
+      this.bindCheckbox("showMinimap", "show-minimap-checkbox");
       this.bindCheckbox("useIntensityColor", "use-intensity-color-checkbox");
 
       // Gene transformation checkboxes
@@ -269,6 +301,19 @@ export const store = {
 
       // Bind inner coloring checkbox
       this.bindCheckbox("innerColoring", "inner-coloring-checkbox");
+      this.bindCheckbox("fillNormalize", "fill-normalize-checkbox");
+
+      // 3D view checkbox, viewMode is "2d" or "3d" rather than a boolean
+      const view3DCheckbox = document.getElementById("view-3d-checkbox");
+      if (view3DCheckbox) {
+        view3DCheckbox.checked = this.get("viewMode") === "3d";
+        view3DCheckbox.addEventListener("change", () =>
+          this.set("viewMode", view3DCheckbox.checked ? "3d" : "2d")
+        );
+        this.subscribe("viewMode", (mode) => {
+          view3DCheckbox.checked = mode === "3d";
+        });
+      }
 
       // Bind gene selection
       const geneSelect = document.getElementById("gene-select");
@@ -1,3 +1,23 @@
+/**
+ * Get the center layer of a z-range, rounding down for ranges with an even number of layers
+ * @param {{min: number, max: number}} range
+ * @returns {number}
+ */
+export function getZRangeCenter(range) {
+    return range.min + Math.floor((range.max - range.min) / 2);
+}
+
+/**
+ * Move a z-range so that its center is the given layer, keeping its width
+ * @param {{min: number, max: number}} range
+ * @param {number} center
+ * @returns {{min: number, max: number}}
+ */
+export function centerZRange(range, center) {
+    const min = center - Math.floor((range.max - range.min) / 2);
+    return { min, max: min + (range.max - range.min) };
+}
+
 /**
  * Updates camera and controls based on data bounds
  * @param {{minX: number, maxX: number, minY: number, maxY: number}} bounds